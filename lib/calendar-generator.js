@@ -0,0 +1,353 @@
+// Calendar generation, used by scripts/generate-calendar.js: every day gets LINKS_PER_DAY links
+// from as many different submitters, the last day everyone's banger (see the script for the
+// options). Same submissions + same seed = the same calendar.
+//
+// Without extra constraints the schedule is built directly (planUsage + layOutDays), so it is
+// found whenever one exists. --distinct-platforms and --no-consecutive go through a backtracking
+// search (solveConstrainedSchedule) capped at MAX_SEARCH_STEPS steps: past that it gives up with
+// an error naming those constraints, even though a schedule might still exist.
+
+import { getPlatform, getTrackKey } from "../public/music-links.js";
+import { getSubmitterKey, indexSubmittedTracks, indexTrackAttributions } from "./submitters.js";
+
+export const LINKS_PER_DAY = 3;
+// Upper bound on backtracking steps, so a hard set of constraints fails instead of hanging
+export const MAX_SEARCH_STEPS = 500000;
+
+// Seeded PRNG (mulberry32 over a hash of the seed string), returns floats in [0, 1)
+export function createRng(seed) {
+  let h = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let state = h >>> 0;
+  return function rng() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(array, rng) {
+  // Fisher-Yates
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+
+
+// excludedKeys: tracks that must not be scheduled (bangers, already published days)
+function buildPools(submissions, rng, excludedKeys = new Set()) {
+  // Build a map of submitter key -> queue of links, keeping only the first copy of each track
+  const submitterToLinks = new Map();
+  const seenKeys = new Set(excludedKeys);
+  for (const sub of submissions) {
+    const name = getSubmitterKey(sub.name);
+    if (!name) continue;
+    const videos = Array.isArray(sub.videos) ? sub.videos : [];
+    const cleaned = [];
+    for (const video of videos) {
+      const url = String(video || "").trim();
+      if (!url) continue;
+      const key = getTrackKey(url);
+      if (seenKeys.has(key)) continue;
+      seenKeys.add(key);
+      cleaned.push(url);
+    }
+    if (cleaned.length === 0) continue;
+    submitterToLinks.set(name, (submitterToLinks.get(name) || []).concat(cleaned));
+  }
+  // Shuffle each submitter's links for randomness
+  for (const [name, links] of submitterToLinks) {
+    submitterToLinks.set(name, shuffle(links.slice(), rng));
+  }
+  return submitterToLinks;
+}
+
+function countTotalLinks(pool) {
+  let total = 0;
+  for (const links of pool.values()) total += links.length;
+  return total;
+}
+
+
+// How many links each submitter gets over dayCount days: one per round in `order`, so counts
+// stay as even as the link counts allow, and never more than one a day. null when every slot
+// can't be filled that way.
+function planUsage(pool, dayCount, order) {
+  const caps = new Map(order.map((s) => [s, Math.min(pool.get(s).length, dayCount)]));
+  const usage = new Map(order.map((s) => [s, 0]));
+  let needed = dayCount * LINKS_PER_DAY;
+  if (usableLinks(pool, dayCount) < needed) return null;
+  while (needed > 0) {
+    for (const s of order) {
+      if (needed === 0) break;
+      if (usage.get(s) < caps.get(s)) {
+        usage.set(s, usage.get(s) + 1);
+        needed--;
+      }
+    }
+  }
+  return usage;
+}
+
+// Links that can be scheduled at all: a submitter appears at most once a day
+function usableLinks(pool, dayCount) {
+  let total = 0;
+  for (const links of pool.values()) total += Math.min(links.length, dayCount);
+  return total;
+}
+
+// Writes each submitter's links one after the other into the slots day 1, day 2, ..., day N,
+// day 1, ... Nobody has more than dayCount links, so nobody lands twice on the same day.
+function layOutDays(pool, dayCount, order, usage) {
+  const days = Array.from({ length: dayCount }, () => []);
+  let slot = 0;
+  for (const s of order) {
+    for (const url of pool.get(s).slice(0, usage.get(s))) {
+      days[slot % dayCount].push({ url, submitter: s });
+      slot++;
+    }
+  }
+  return days;
+}
+
+// Days 1..dayCount, each with LINKS_PER_DAY links from distinct submitters, or null when no
+// such schedule exists
+function solveSchedule(pool, dayCount, rng) {
+  const order = shuffle(Array.from(pool.keys()), rng);
+  const usage = planUsage(pool, dayCount, order);
+  if (!usage) return null;
+  return shuffle(layOutDays(pool, dayCount, order, usage), rng).map((picks) => shuffle(picks, rng));
+}
+
+function constraintNames({ distinctPlatforms, noConsecutive }) {
+  return [distinctPlatforms && "--distinct-platforms", noConsecutive && "--no-consecutive"].filter(Boolean).join(" and ");
+}
+
+// Backtracking search for the same schedule with --distinct-platforms and/or --no-consecutive.
+// Candidates are tried least-used submitter first (seeded shuffle as tie-breaker) so the result
+// stays balanced, and every completed day is checked against an upper bound of what the remaining
+// links can still cover, which prunes dead ends early. Returns null when no schedule exists.
+// previousDaySubmitters: who appeared on the day just before day 1 (for noConsecutive).
+// Throws once MAX_SEARCH_STEPS steps are spent.
+function solveConstrainedSchedule(pool, dayCount, rng, { distinctPlatforms = false, noConsecutive = false, previousDaySubmitters = [] } = {}) {
+  const submitters = Array.from(pool.keys());
+  const remaining = new Map(submitters.map((s) => [s, pool.get(s).slice()]));
+  const usedCount = new Map(submitters.map((s) => [s, 0]));
+  const lastDayUsed = new Map(previousDaySubmitters.map((s) => [s, 0]));
+  const schedule = [];
+  let steps = 0;
+
+  // Most days submitter s can still fill from `day` to the end
+  function maxUsesLeft(s, day) {
+    const daysLeft = dayCount - day + 1;
+    let cap = Math.min(remaining.get(s).length, daysLeft);
+    if (noConsecutive) {
+      const alternating = lastDayUsed.get(s) === day - 1 ? Math.floor(daysLeft / 2) : Math.ceil(daysLeft / 2);
+      cap = Math.min(cap, alternating);
+    }
+    return cap;
+  }
+
+  function canStillFill(day) {
+    const daysLeft = dayCount - day + 1;
+    if (daysLeft <= 0) return true;
+    let capacity = 0;
+    for (const s of submitters) capacity += maxUsesLeft(s, day);
+    return capacity >= daysLeft * LINKS_PER_DAY;
+  }
+
+  function candidatesFor(day, chosen, platforms) {
+    const candidates = [];
+    for (const s of shuffle(submitters.slice(), rng)) {
+      if (chosen.has(s)) continue;
+      if (noConsecutive && lastDayUsed.get(s) === day - 1) continue;
+      const links = remaining.get(s);
+      // One candidate per platform the submitter can still offer today
+      const seenPlatforms = new Set();
+      for (let index = 0; index < links.length; index++) {
+        const platform = getPlatform(links[index]);
+        if (seenPlatforms.has(platform)) continue;
+        if (distinctPlatforms && platforms.has(platform)) continue;
+        seenPlatforms.add(platform);
+        candidates.push({ submitter: s, index, platform });
+        if (!distinctPlatforms) break;
+      }
+    }
+    // Stable sort keeps the shuffled order between equally used submitters
+    return candidates.sort((a, b) => usedCount.get(a.submitter) - usedCount.get(b.submitter));
+  }
+
+  function fillDay(day, picks, chosen, platforms) {
+    if (day > dayCount) return true;
+    if (++steps > MAX_SEARCH_STEPS) {
+      throw new Error(`Gave up after ${MAX_SEARCH_STEPS} solver steps on ${constraintNames({ distinctPlatforms, noConsecutive })}; try another --seed or drop that constraint`);
+    }
+
+    if (picks.length === LINKS_PER_DAY) {
+      schedule[day - 1] = picks.slice();
+      if (canStillFill(day + 1) && fillDay(day + 1, [], new Set(), new Set())) return true;
+      schedule.length = day - 1;
+      return false;
+    }
+
+    for (const { submitter, index, platform } of candidatesFor(day, chosen, platforms)) {
+      const links = remaining.get(submitter);
+      const [url] = links.splice(index, 1);
+      const previousDay = lastDayUsed.get(submitter);
+      usedCount.set(submitter, usedCount.get(submitter) + 1);
+      lastDayUsed.set(submitter, day);
+      chosen.add(submitter);
+      platforms.add(platform);
+      picks.push({ url, submitter });
+
+      if (fillDay(day, picks, chosen, platforms)) return true;
+
+      picks.pop();
+      platforms.delete(platform);
+      chosen.delete(submitter);
+      if (previousDay === undefined) lastDayUsed.delete(submitter);
+      else lastDayUsed.set(submitter, previousDay);
+      usedCount.set(submitter, usedCount.get(submitter) - 1);
+      links.splice(index, 0, url);
+    }
+    return false;
+  }
+
+  if (!canStillFill(1) || !fillDay(1, [], new Set(), new Set())) {
+    return null;
+  }
+  return schedule;
+}
+
+function publishedUrls(published, day) {
+  const items = Array.isArray(published[String(day)]) ? published[String(day)] : [];
+  return items.map((item) => (item && typeof item.url === "string" ? item.url.trim() : "")).filter(Boolean);
+}
+
+// Calendar entry for a link: { url, submitterName, note?, anonymous? }
+function toEntry(url, attributions) {
+  const credit = attributions.get(getTrackKey(url));
+  if (!credit) return { url };
+  const entry = { url, submitterName: credit.submitterName };
+  if (credit.note) entry.note = credit.note;
+  if (credit.anonymous) entry.anonymous = true;
+  return entry;
+}
+
+// { "1": [{ url, submitterName, ... }], ... } for days 1..days.
+// published/lockedDays: days 1..lockedDays are copied from the published calendar untouched
+export function generateCalendar(submissions, { days, seed, distinctPlatforms = false, noConsecutive = false, published = null, lockedDays = 0 }) {
+  const rng = createRng(seed);
+  const REQUIRED_DAYS = days;
+  if (lockedDays >= REQUIRED_DAYS) {
+    throw new Error(`All ${REQUIRED_DAYS} days are already published, nothing left to redistribute`);
+  }
+
+  // Tracks already revealed can't show up again
+  const publishedKeys = new Set();
+  for (let day = 1; day <= lockedDays; day++) {
+    publishedUrls(published, day).forEach((url) => publishedKeys.add(getTrackKey(url)));
+  }
+
+  const attributions = indexTrackAttributions(submissions);
+
+  // Special case: last day should include all bangers from everyone (each track once)
+  const allBangers = [];
+  const bangerKeys = new Set();
+  for (const submission of submissions) {
+    const name = getSubmitterKey(submission.name);
+    const banger = String(submission.banger || "").trim();
+    const key = getTrackKey(banger);
+    if (name && banger && !bangerKeys.has(key) && !publishedKeys.has(key)) {
+      bangerKeys.add(key);
+      allBangers.push(toEntry(banger, attributions));
+    }
+  }
+
+  const pool = buildPools(submissions, rng, new Set([...publishedKeys, ...bangerKeys]));
+  const submitters = Array.from(pool.keys());
+  if (submitters.length < LINKS_PER_DAY) {
+    throw new Error("Need at least 3 submitters to fill each day with unique people");
+  }
+
+  // Who appeared on the last published day (for the noConsecutive constraint)
+  const owners = indexSubmittedTracks(submissions);
+  const previousDaySubmitters = lockedDays > 0
+    ? publishedUrls(published, lockedDays).map((url) => owners.get(getTrackKey(url))).filter(Boolean)
+    : [];
+  // If we have bangers they fill the last day; otherwise it's a regular day
+  const regularDays = allBangers.length > 0 ? REQUIRED_DAYS - 1 : REQUIRED_DAYS;
+  const freeDays = Math.max(regularDays - lockedDays, 0);
+  const REQUIRED_LINKS = freeDays * LINKS_PER_DAY;
+
+  const totalLinks = countTotalLinks(pool);
+  if (totalLinks < REQUIRED_LINKS) {
+    throw new Error(`Not enough total links: have ${totalLinks}, need ${REQUIRED_LINKS}`);
+  }
+
+  if (usableLinks(pool, freeDays) < REQUIRED_LINKS) {
+    throw new Error(
+      `No valid schedule exists for ${freeDays} days: with one link per submitter per day, `
+      + `only ${usableLinks(pool, freeDays)} of the ${REQUIRED_LINKS} slots can be filled`
+    );
+  }
+  const constrained = distinctPlatforms || noConsecutive;
+  const schedule = constrained
+    ? solveConstrainedSchedule(pool, freeDays, rng, { distinctPlatforms, noConsecutive, previousDaySubmitters })
+    : solveSchedule(pool, freeDays, rng);
+  if (!schedule) {
+    throw new Error(`No valid schedule exists for ${freeDays} days with ${constrained ? constraintNames({ distinctPlatforms, noConsecutive }) : "these submissions"}`);
+  }
+
+  const calendar = {};
+  for (let day = 1; day <= lockedDays; day++) {
+    calendar[String(day)] = published[String(day)];
+  }
+  schedule.forEach((picks, index) => {
+    calendar[String(lockedDays + index + 1)] = picks.map(({ url }) => toEntry(url, attributions));
+  });
+  if (allBangers.length > 0) {
+    calendar[String(REQUIRED_DAYS)] = allBangers;
+  }
+
+  return calendar;
+}
+
+function dayUrls(items) {
+  return Array.isArray(items) ? items.map((item) => (item && item.url) || "") : [];
+}
+
+// Human-readable per-day diff between two calendars
+export function diffCalendars(before, after) {
+  const days = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const lines = [];
+  let changedDays = 0;
+  for (const day of Array.from(days).sort((a, b) => Number(a) - Number(b))) {
+    const oldUrls = dayUrls((before || {})[day]);
+    const newUrls = dayUrls((after || {})[day]);
+    const removed = oldUrls.filter((url) => !newUrls.includes(url));
+    const added = newUrls.filter((url) => !oldUrls.includes(url));
+    if (removed.length === 0 && added.length === 0) continue;
+    changedDays++;
+    lines.push(`Day ${day}:`);
+    removed.forEach((url) => lines.push(`  - ${url}`));
+    added.forEach((url) => lines.push(`  + ${url}`));
+  }
+  lines.push(`${changedDays} day(s) changed`);
+  return lines.join("\n");
+}
+
+export function assertPublishedDaysUnchanged(before, after, lockedDays) {
+  for (let day = 1; day <= lockedDays; day++) {
+    if (JSON.stringify(before[String(day)]) !== JSON.stringify(after[String(day)])) {
+      throw new Error(`Refusing to write: day ${day} is already published and would change`);
+    }
+  }
+}
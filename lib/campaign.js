@@ -0,0 +1,259 @@
+// Campaign configuration: which days the calendar covers and when they unlock.
+// Read from config/campaign.json, every field can be overridden by environment:
+//   year       CAMPAIGN_YEAR        edition year, e.g. 2025
+//   startDate  CAMPAIGN_START_DATE  "MM-DD" of day 1 in that year
+//   days       CAMPAIGN_DAYS        number of days in the calendar
+//   timezone   CAMPAIGN_TIMEZONE    IANA zone the days are counted in
+//   sendTime   CAMPAIGN_SEND_TIME   "HH:MM" the daily SMS goes out
+//   submissionOpening   CAMPAIGN_SUBMISSION_OPENING   "YYYY-MM-DDTHH:MM" the form opens
+//                       (default: no opening time, open until the deadline)
+//   submissionDeadline  CAMPAIGN_SUBMISSION_DEADLINE  "YYYY-MM-DDTHH:MM" the form closes and
+//                       submissions can't be edited any more (default: when day 1 unlocks)
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const defaultConfigPath = path.join(__dirname, "..", "config", "campaign.json");
+
+function readConfigFile(configPath) {
+  try {
+    if (!fs.existsSync(configPath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  } catch (err) {
+    throw new Error(`Invalid campaign config ${configPath}: ${err.message}`);
+  }
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+export function loadCampaignConfig(configPath = process.env.CAMPAIGN_CONFIG || defaultConfigPath) {
+  const file = readConfigFile(configPath);
+  const env = process.env;
+
+  const year = parseInt(env.CAMPAIGN_YEAR || file.year, 10);
+  const startDate = String(env.CAMPAIGN_START_DATE || file.startDate || "12-01");
+  const days = parseInt(env.CAMPAIGN_DAYS || file.days || 24, 10);
+  const timezone = String(env.CAMPAIGN_TIMEZONE || file.timezone || "UTC");
+  const sendTime = String(env.CAMPAIGN_SEND_TIME || file.sendTime || "10:00");
+
+  if (!Number.isInteger(year) || year < 2000) {
+    throw new Error(`Invalid campaign year "${env.CAMPAIGN_YEAR || file.year}"`);
+  }
+  const startMatch = startDate.match(/^(\d{2})-(\d{2})$/);
+  if (!startMatch) {
+    throw new Error(`Invalid campaign startDate "${startDate}" (expected MM-DD)`);
+  }
+  const start = new Date(Date.UTC(year, Number(startMatch[1]) - 1, Number(startMatch[2])));
+  if (start.getUTCMonth() !== Number(startMatch[1]) - 1) {
+    throw new Error(`Invalid campaign startDate "${startDate}"`);
+  }
+  if (!Number.isInteger(days) || days < 1 || days > 366) {
+    throw new Error(`Invalid campaign days "${env.CAMPAIGN_DAYS || file.days}"`);
+  }
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Invalid campaign timezone "${timezone}"`);
+  }
+  const sendMatch = sendTime.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  if (!sendMatch) {
+    throw new Error(`Invalid campaign sendTime "${sendTime}" (expected HH:MM)`);
+  }
+
+  const end = new Date(start.getTime() + (days - 1) * DAY_MS);
+  const deadlineValue = env.CAMPAIGN_SUBMISSION_DEADLINE || file.submissionDeadline;
+  const submissionDeadline = deadlineValue
+    ? parseWallClock(deadlineValue, timezone)
+    : zonedTimeToDate(toDateString(start), timezone);
+  if (!submissionDeadline) {
+    throw new Error(`Invalid campaign submissionDeadline "${deadlineValue}" (expected YYYY-MM-DDTHH:MM)`);
+  }
+  const openingValue = env.CAMPAIGN_SUBMISSION_OPENING || file.submissionOpening;
+  const submissionOpening = openingValue ? parseWallClock(openingValue, timezone) : null;
+  if (openingValue && !submissionOpening) {
+    throw new Error(`Invalid campaign submissionOpening "${openingValue}" (expected YYYY-MM-DDTHH:MM)`);
+  }
+  if (submissionOpening && submissionOpening >= submissionDeadline) {
+    throw new Error("Campaign submissionOpening must be before submissionDeadline");
+  }
+
+  return {
+    year,
+    days,
+    timezone,
+    sendTime,
+    sendHour: Number(sendMatch[1]),
+    sendMinute: Number(sendMatch[2]),
+    startDate: toDateString(start),
+    endDate: toDateString(end),
+    submissionOpening: submissionOpening ? submissionOpening.toISOString() : null,
+    submissionDeadline: submissionDeadline.toISOString(),
+  };
+}
+
+// "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" wall-clock time in a timezone, null if malformed
+function parseWallClock(value, timezone) {
+  const match = String(value).trim().match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2}))?$/);
+  if (!match || Number.isNaN(parseDateString(match[1]))) return null;
+  return zonedTimeToDate(match[1], timezone, Number(match[2] || 0), Number(match[3] || 0));
+}
+
+function toDateString(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function parseDateString(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+// Calendar date (YYYY-MM-DD) of an instant as seen from a timezone
+export function getDateInTimezone(timezone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(now);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return `${get("year")}-${get("month")}-${get("day")}`;
+}
+
+// Offset (ms) of a timezone from UTC at a given instant
+function getTimezoneOffset(timezone, instant) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// Instant of a wall-clock time (date + hh:mm) in a timezone
+export function zonedTimeToDate(dateStr, timezone, hour = 0, minute = 0) {
+  const wallClock = parseDateString(dateStr) + (hour * 60 + minute) * 60 * 1000;
+  let instant = new Date(wallClock - getTimezoneOffset(timezone, new Date(wallClock)));
+  // Second pass lands on the right side of a DST change
+  instant = new Date(wallClock - getTimezoneOffset(timezone, instant));
+  return instant;
+}
+
+// Where the campaign stands at a given instant:
+// - status: "before" | "running" | "after"
+// - today: calendar day number (1..days) while running, else null
+// - unlockedDays: how many days can be opened (0..days)
+export function getCampaignState(campaign, now = new Date()) {
+  const todayStr = getDateInTimezone(campaign.timezone, now);
+  const offset = Math.round((parseDateString(todayStr) - parseDateString(campaign.startDate)) / DAY_MS);
+
+  let status = "running";
+  if (offset < 0) status = "before";
+  else if (offset >= campaign.days) status = "after";
+
+  return {
+    status,
+    date: todayStr,
+    today: status === "running" ? offset + 1 : null,
+    unlockedDays: Math.min(Math.max(offset + 1, 0), campaign.days),
+    startsAt: zonedTimeToDate(campaign.startDate, campaign.timezone).toISOString(),
+    endsAt: zonedTimeToDate(toDateString(new Date(parseDateString(campaign.endDate) + DAY_MS)), campaign.timezone).toISOString(),
+  };
+}
+
+// Whether the submission form is open: status "upcoming", "open" or "closed"
+export function getSubmissionWindow(campaign, now = new Date()) {
+  let status = "open";
+  if (campaign.submissionOpening && now < new Date(campaign.submissionOpening)) status = "upcoming";
+  else if (now >= new Date(campaign.submissionDeadline)) status = "closed";
+  return { status, opensAt: campaign.submissionOpening, closesAt: campaign.submissionDeadline };
+}
+
+export function isDayUnlocked(campaign, day, now = new Date()) {
+  return day >= 1 && day <= getCampaignState(campaign, now).unlockedDays;
+}
+
+// When a calendar day unlocks and when the next one replaces it (midnight to midnight in the
+// campaign timezone): { opensAt, closesAt } as ISO strings
+export function getDayWindow(campaign, day) {
+  const start = parseDateString(campaign.startDate) + (day - 1) * DAY_MS;
+  return {
+    opensAt: zonedTimeToDate(toDateString(new Date(start)), campaign.timezone).toISOString(),
+    closesAt: zonedTimeToDate(toDateString(new Date(start + DAY_MS)), campaign.timezone).toISOString(),
+  };
+}
+
+// Minutes since midnight of an instant as seen from a timezone
+function getMinutesInTimezone(timezone, now) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).formatToParts(now);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return get("hour") * 60 + get("minute");
+}
+
+export function isPastSendTime(campaign, now = new Date()) {
+  return getMinutesInTimezone(campaign.timezone, now) >= campaign.sendHour * 60 + campaign.sendMinute;
+}
+
+// Parse a simulated date in the campaign timezone:
+//   "YYYY-MM-DD"       that day, at the current wall-clock time
+//   "YYYY-MM-DDTHH:MM" that exact wall-clock time
+// Returns null when the value can't be parsed.
+export function parseSimulatedDate(value, timezone, now = new Date()) {
+  const match = String(value || "").trim().match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2}))?$/);
+  if (!match) return null;
+  const [, dateStr, hours, minutes] = match;
+  if (Number.isNaN(parseDateString(dateStr))) return null;
+
+  if (hours !== undefined) {
+    return zonedTimeToDate(dateStr, timezone, Number(hours), Number(minutes));
+  }
+  const currentMinutes = getMinutesInTimezone(timezone, now);
+  return zonedTimeToDate(dateStr, timezone, Math.floor(currentMinutes / 60), currentMinutes % 60);
+}
+
+// Clock used for everything date-related. With a simulated date it starts at that
+// instant and keeps ticking from there, so countdowns and day changes still happen.
+export function createClock(campaign, simulateDate) {
+  if (!simulateDate) {
+    return { simulated: false, now: () => new Date() };
+  }
+  const start = parseSimulatedDate(simulateDate, campaign.timezone);
+  if (!start) {
+    throw new Error(`Invalid SIMULATE_DATE "${simulateDate}" (expected YYYY-MM-DD or YYYY-MM-DDTHH:MM)`);
+  }
+  const offset = start.getTime() - Date.now();
+  return { simulated: true, now: () => new Date(Date.now() + offset) };
+}
+
+// Instant a request is answered at: the clock's, or the request's own ?simulateDate=... when
+// allowOverride (development only) and it can be parsed
+export function getRequestTime(campaign, clock, simulateDate, { allowOverride = false } = {}) {
+  if (allowOverride && typeof simulateDate === "string") {
+    const simulated = parseSimulatedDate(simulateDate, campaign.timezone);
+    if (simulated) return simulated;
+  }
+  return clock.now();
+}
@@ -0,0 +1,55 @@
+// Delivery log of the daily message, shared by server.js and scripts/delivery-report.js.
+// Stored as the "delivery-log" document, keyed by campaign date then recipient id:
+//   { "2025-12-03": { "<recipientId>": { recipientId, name, channel, status, attempts,
+//                                       providerId, error, lastAttemptAt, nextAttemptAt } } }
+// status is "sent" or "failed"; failed deliveries are retried with backoff until MAX_ATTEMPTS.
+
+export const MAX_ATTEMPTS = 5;
+
+const BASE_RETRY_DELAY_MS = 2 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// 2, 4, 8, 16... minutes after the nth failed attempt, capped at an hour
+export function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+}
+
+// Whether a recipient should get an attempt now, given their entry for the day (if any).
+// retryOnly limits the run to failed deliveries, so recipients added later in the day wait.
+export function isDeliveryDue(entry, now, { retryOnly = false } = {}) {
+  if (!entry) return !retryOnly;
+  if (entry.status !== "failed") return false;
+  if (entry.attempts >= MAX_ATTEMPTS) return false;
+  return !entry.nextAttemptAt || new Date(entry.nextAttemptAt) <= now;
+}
+
+// Entry after an attempt; result is { id } on success or { error } on failure
+export function applyDeliveryAttempt(entry, recipient, channel, result, now) {
+  const attempts = (entry ? entry.attempts : 0) + 1;
+  const failed = Boolean(result.error);
+  return {
+    recipientId: recipient.id,
+    name: recipient.name,
+    channel,
+    status: failed ? "failed" : "sent",
+    attempts,
+    providerId: failed ? null : result.id || null,
+    error: failed ? result.error : null,
+    lastAttemptAt: now.toISOString(),
+    nextAttemptAt: failed && attempts < MAX_ATTEMPTS ? new Date(now.getTime() + getRetryDelay(attempts)).toISOString() : null,
+  };
+}
+
+// { date, total, sent, failed, retrying, deliveries } for one day of the log
+export function buildDeliveryReport(log, date) {
+  const deliveries = Object.values((log && log[date]) || {});
+  const failed = deliveries.filter((d) => d.status === "failed");
+  return {
+    date,
+    total: deliveries.length,
+    sent: deliveries.filter((d) => d.status === "sent").length,
+    failed: failed.length,
+    retrying: failed.filter((d) => d.nextAttemptAt).length,
+    deliveries,
+  };
+}
@@ -0,0 +1,74 @@
+// Reactions and comment threads on calendar tracks.
+//   "track-reactions": { "<url>": { "<emoji>": ["<visitorId>", ...] } }
+//   "track-comments":  [{ id, url, day, parentId, nickname, visitorId, text, createdAt,
+//                         removedAt, removedBy }]
+// Visitors are identified by a random id cookie and sign with a nickname cookie (see server.js).
+// Removed comments stay in the thread as placeholders so their replies keep a parent.
+
+export const REACTIONS = ["🔥", "❤️", "😂", "🤯", "👎"];
+export const COMMENT_MAX_LENGTH = 500;
+export const NICKNAME_MAX_LENGTH = 30;
+
+// Trimmed single-line nickname, null when empty or too long
+export function cleanNickname(value) {
+  const nickname = String(value || "").normalize("NFC").replace(/\s+/g, " ").trim();
+  return nickname && nickname.length <= NICKNAME_MAX_LENGTH ? nickname : null;
+}
+
+// Trimmed comment text (line breaks kept, at most two in a row), null when empty or too long
+export function cleanCommentText(value) {
+  const text = String(value || "").replace(/\r\n?/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  return text && text.length <= COMMENT_MAX_LENGTH ? text : null;
+}
+
+// { counts: { emoji: n }, mine: [emoji] } for one track
+export function summarizeReactions(reactions = {}, visitorId = null) {
+  const counts = {};
+  const mine = [];
+  for (const emoji of REACTIONS) {
+    const visitors = reactions[emoji] || [];
+    counts[emoji] = visitors.length;
+    if (visitorId && visitors.includes(visitorId)) mine.push(emoji);
+  }
+  return { counts, mine };
+}
+
+// Reactions of a track after a visitor toggled one emoji
+export function toggleReaction(reactions = {}, emoji, visitorId) {
+  const visitors = reactions[emoji] || [];
+  return {
+    ...reactions,
+    [emoji]: visitors.includes(visitorId) ? visitors.filter((id) => id !== visitorId) : visitors.concat(visitorId),
+  };
+}
+
+function publicComment(comment, visitorId) {
+  const removed = Boolean(comment.removedAt);
+  return {
+    id: comment.id,
+    parentId: comment.parentId,
+    nickname: removed ? null : comment.nickname,
+    text: removed ? null : comment.text,
+    removed,
+    mine: Boolean(visitorId) && comment.visitorId === visitorId,
+    createdAt: comment.createdAt,
+    replies: [],
+  };
+}
+
+// Comments of one track as a tree, oldest first: [{ ..., replies: [...] }]
+export function buildThread(comments, visitorId = null) {
+  const nodes = new Map();
+  const roots = [];
+  const sorted = comments.slice().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const comment of sorted) {
+    nodes.set(comment.id, publicComment(comment, visitorId));
+  }
+  for (const comment of sorted) {
+    const node = nodes.get(comment.id);
+    const parent = comment.parentId ? nodes.get(comment.parentId) : null;
+    if (parent) parent.replies.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
@@ -0,0 +1,146 @@
+// Atom (/feed.xml) and iCalendar (/calendar.ics) feeds of the calendar.
+// Both render the same list of days, built by server.js from /api/calendar's data:
+//   [{ day, date: "YYYY-MM-DD", opensAt, unlocked, pageUrl,
+//      tracks: [{ url, shortUrl, title, artist, submitterName, hidden, note }] }]
+// Locked days carry no tracks: the Atom feed leaves them out, the calendar shows them as
+// events to come.
+
+import { escapeXml } from "./xml.js";
+
+// "Artist - Title", null when the metadata hasn't been fetched
+function trackLabel(track) {
+  if (!track.title) return null;
+  return track.artist && !track.title.includes(track.artist) ? `${track.artist} - ${track.title}` : track.title;
+}
+
+function trackCredit(track) {
+  if (track.hidden) return "nom révélé demain";
+  return track.submitterName ? `proposé par ${track.submitterName}` : null;
+}
+
+function dayTitle(day) {
+  const count = day.tracks.length;
+  return `Jour ${day.day} : ${count} son${count > 1 ? "s" : ""}`;
+}
+
+function entryContent(day) {
+  const items = day.tracks.map((track) => {
+    const credit = trackCredit(track);
+    return `<li><a href="${escapeXml(track.shortUrl)}">${escapeXml(trackLabel(track) || track.shortUrl)}</a>`
+      + `${credit ? ` (${escapeXml(credit)})` : ""}`
+      + `${track.note ? `<br><em>${escapeXml(track.note)}</em>` : ""}</li>`;
+  });
+  return `<ol>${items.join("")}</ol>`;
+}
+
+// Unlocked days, newest first. Each entry links to the page of the day and to every song
+// through its short link.
+export function renderAtomFeed(days, { title, siteUrl, feedUrl }) {
+  const host = new URL(siteUrl).hostname;
+  const unlocked = days.filter((day) => day.unlocked).sort((a, b) => b.day - a.day);
+  const updated = unlocked.length ? unlocked[0].opensAt : new Date(0).toISOString();
+  const entries = unlocked.map((day) => {
+    const links = day.tracks.map((track) => {
+      const label = trackLabel(track);
+      return `    <link rel="related" href="${escapeXml(track.shortUrl)}"${label ? ` title="${escapeXml(label)}"` : ""}/>`;
+    });
+    return `  <entry>
+    <id>tag:${host},${day.date.slice(0, 4)}:jour-${day.day}</id>
+    <title>${escapeXml(dayTitle(day))}</title>
+    <updated>${day.opensAt}</updated>
+    <link rel="alternate" type="text/html" href="${escapeXml(day.pageUrl)}"/>
+${links.join("\n")}
+    <content type="html">${escapeXml(entryContent(day))}</content>
+  </entry>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="fr">
+  <id>${escapeXml(feedUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${updated}</updated>
+  <author><name>Ton père</name></author>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+// RFC 5545 TEXT value
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function toIcsDate(dateStr) {
+  return dateStr.replace(/-/g, "");
+}
+
+function toIcsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function nextDate(dateStr) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+// One all-day event per day of the campaign; the songs are listed once the day is unlocked
+export function renderIcsCalendar(days, { title, siteUrl, now = new Date() }) {
+  const host = new URL(siteUrl).hostname;
+  const stamp = toIcsTimestamp(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${host}//Ton pere de l'avent//FR`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(title)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H",
+  ];
+  for (const day of days) {
+    const description = day.unlocked
+      ? day.tracks
+          .map((track) => {
+            const parts = [[trackLabel(track), trackCredit(track)].filter(Boolean).join(", "), track.shortUrl];
+            if (track.note) parts.push(`« ${track.note} »`);
+            return parts.filter(Boolean).join("\n");
+          })
+          .join("\n\n")
+      : `Surprise ! À ouvrir le jour J sur ${siteUrl}`;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:jour-${day.day}-${day.date.slice(0, 4)}@${host}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(day.date)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(nextDate(day.date))}`,
+      `SUMMARY:${escapeIcsText(day.unlocked ? `🎄 ${dayTitle(day)}` : `🎁 Jour ${day.day}`)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `URL:${day.pageUrl}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
@@ -0,0 +1,66 @@
+// "Who submitted this song?" guessing game.
+// Players guess the submitter of each track while its day is unlocked; names are revealed and
+// guesses scored once the day closes (see getDayWindow in lib/campaign.js).
+//   "game-players": [{ id, name, tokenHash, createdAt }]
+//   "game-guesses": { "<playerId>": { "<day>": { "<url>": "<guessed name>" } } }
+// Scores aren't stored: they are recomputed from the guesses and the current submissions.
+
+import crypto from "crypto";
+import { getSubmitterKey } from "./submitters.js";
+
+export const PLAYER_NAME_MAX_LENGTH = 40;
+
+export function generatePlayerToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+// "open" while guesses are accepted, "revealed" once the day closed, "locked" before it unlocks
+export function getGuessingStatus(dayWindow, now) {
+  if (now < new Date(dayWindow.opensAt)) return "locked";
+  if (now < new Date(dayWindow.closesAt)) return "open";
+  return "revealed";
+}
+
+// Tracks a player can guess on a day: anonymous ones have no answer and nobody guesses their own.
+// answers is a list of { url, submitterName, anonymous } (see the credits in server.js).
+export function getGuessableTracks(answers, player) {
+  const playerKey = player ? getSubmitterKey(player.name) : null;
+  return answers.filter((answer) => !answer.anonymous && answer.submitterName && getSubmitterKey(answer.submitterName) !== playerKey);
+}
+
+// { points, total, results: [{ url, guess, answer, correct }] } for one player's guesses on a day
+export function scoreDay(answers, guesses = {}, player = null) {
+  const results = getGuessableTracks(answers, player).map((answer) => {
+    const guess = guesses[answer.url] || null;
+    return {
+      url: answer.url,
+      guess,
+      answer: answer.submitterName,
+      correct: Boolean(guess) && getSubmitterKey(guess) === getSubmitterKey(answer.submitterName),
+    };
+  });
+  return { points: results.filter((r) => r.correct).length, total: results.length, results };
+}
+
+// Season ranking over the revealed days. answersByDay: { day: answers }.
+// Players are sorted by points then accuracy; ties share a rank.
+export function buildLeaderboard(players, guessesDoc, answersByDay) {
+  const rows = players.map((player) => {
+    const byDay = guessesDoc[player.id] || {};
+    let points = 0;
+    let guessed = 0;
+    for (const [day, answers] of Object.entries(answersByDay)) {
+      const guesses = byDay[day] || {};
+      const score = scoreDay(answers, guesses, player);
+      points += score.points;
+      guessed += score.results.filter((r) => r.guess).length;
+    }
+    return { name: player.name, points, guessed, accuracy: guessed ? points / guessed : 0 };
+  });
+  rows.sort((a, b) => b.points - a.points || b.accuracy - a.accuracy || a.name.localeCompare(b.name));
+  rows.forEach((row, index) => {
+    const previous = rows[index - 1];
+    row.rank = previous && previous.points === row.points && previous.accuracy === row.accuracy ? previous.rank : index + 1;
+  });
+  return rows;
+}
@@ -0,0 +1,78 @@
+// Click analytics for the built-in URL shortener.
+// Every redirect is appended to the "short-link-clicks" document as
+//   { at, code, referrer, agent }
+// where referrer is only the origin of the Referer header and agent a coarse class.
+
+import { getDateInTimezone } from "./campaign.js";
+
+// Link preview fetchers (messaging apps unfurling the SMS links) and crawlers
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|whatsapp|telegram|discord|slack|skype|embedly|curl|wget|python-requests|node-fetch|axios|go-http-client|headless/i;
+
+// "bot", "tablet", "mobile", "desktop" or "unknown"
+export function classifyUserAgent(userAgent) {
+  const ua = String(userAgent || "");
+  if (!ua) return "unknown";
+  if (BOT_PATTERN.test(ua)) return "bot";
+  if (/ipad|tablet|kindle|silk|(android(?!.*mobile))/i.test(ua)) return "tablet";
+  if (/mobi|iphone|ipod|android|blackberry|opera mini|windows phone/i.test(ua)) return "mobile";
+  if (/windows|macintosh|mac os x|linux|cros/i.test(ua)) return "desktop";
+  return "unknown";
+}
+
+// Origin of a Referer header, null when missing or unparseable
+export function getReferrerOrigin(referrer) {
+  if (!referrer) return null;
+  try {
+    const url = new URL(referrer);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.origin : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function countBy(items, keyOf) {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (key === null || key === undefined) continue;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+// Click report. Bot clicks are counted apart and left out of every other figure.
+//   links    { code: { url, ... } }
+//   urlDays  Map url -> calendar day the link was published on
+export function summarizeClicks(clicks, links, urlDays, timezone) {
+  const human = clicks.filter((click) => click.agent !== "bot");
+  const dayOf = (click) => (links[click.code] ? urlDays.get(links[click.code].url) || null : null);
+
+  const perLink = [...countBy(human, (click) => click.code)]
+    .map(([code, count]) => ({
+      code,
+      url: links[code] ? links[code].url : null,
+      day: links[code] ? urlDays.get(links[code].url) || null : null,
+      clicks: count,
+    }))
+    .sort((a, b) => b.clicks - a.clicks);
+
+  const perDate = [...countBy(human, (click) => getDateInTimezone(timezone, new Date(click.at)))]
+    .map(([date, count]) => ({ date, clicks: count }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const perCalendarDay = [...countBy(human, dayOf)]
+    .map(([day, count]) => ({ day, clicks: count }))
+    .sort((a, b) => a.day - b.day);
+
+  const mostPlayedDay = perCalendarDay.reduce((best, entry) => (!best || entry.clicks > best.clicks ? entry : best), null);
+
+  return {
+    totalClicks: human.length,
+    botClicks: clicks.length - human.length,
+    byAgent: Object.fromEntries(countBy(clicks, (click) => click.agent)),
+    perLink,
+    perDate,
+    perCalendarDay,
+    mostPlayedDay,
+  };
+}
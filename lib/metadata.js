@@ -0,0 +1,236 @@
+// Link metadata (title, artist, thumbnail, duration) for calendar entries.
+// Taken from the platform's oEmbed endpoint (Deezer: its public API), completed with the
+// page's Open Graph / schema.org tags when oEmbed leaves out a title, artist or thumbnail
+// (not for the duration alone: oEmbed never has it), and cached in the "link-metadata" document:
+//   { "<url>": { title, artist, thumbnail, duration, provider, fetchedAt } }
+// duration is in seconds. Failed lookups are cached as { error, fetchedAt } and retried later.
+//
+// fetchImpl and endpoints can be swapped, e.g. to point everything at a local fixture server;
+// server.js and the generator take the endpoints from the environment (metadataEndpointsFromEnv).
+// METADATA_FETCH=off disables network lookups entirely (cached data is still served).
+
+import { parseMusicLink } from "../public/music-links.js";
+
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_BODY_BYTES = 1024 * 1024;
+const RETRY_ERRORS_AFTER_MS = 6 * 60 * 60 * 1000;
+
+export const DEFAULT_ENDPOINTS = {
+  youtube: "https://www.youtube.com/oembed",
+  spotify: "https://open.spotify.com/oembed",
+  soundcloud: "https://soundcloud.com/oembed",
+  deezer: "https://api.deezer.com",
+  // Base URL standing in for the platforms' own sites when reading a page's tags:
+  // <pages>/<hostname><path>. Empty: the real page.
+  pages: "",
+};
+
+// METADATA_<NAME>_ENDPOINT (YOUTUBE, SPOTIFY, SOUNDCLOUD, DEEZER, PAGES) overrides an endpoint
+export function metadataEndpointsFromEnv(env = process.env) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_ENDPOINTS).map(([platform, url]) => [platform, env[`METADATA_${platform.toUpperCase()}_ENDPOINT`] || url])
+  );
+}
+
+const FIELDS = ["title", "artist", "thumbnail", "duration"];
+const PAGE_FIELDS = ["title", "artist", "thumbnail"];
+
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_m, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+// "PT4M13S" / "PT00H03M21S" -> seconds
+function parseIsoDuration(value) {
+  const match = String(value || "").match(/^P(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)$/);
+  if (!match) return null;
+  const seconds = Number(match[1] || 0) * 3600 + Number(match[2] || 0) * 60 + Number(match[3] || 0);
+  return seconds > 0 ? seconds : null;
+}
+
+function cleanText(value) {
+  if (typeof value !== "string") return null;
+  const text = value.replace(/\s+/g, " ").trim();
+  return text ? text.slice(0, 300) : null;
+}
+
+function cleanThumbnail(value) {
+  return typeof value === "string" && /^https:\/\//.test(value) ? value : null;
+}
+
+// <meta property|name|itemprop="..." content="..."> tags of a page, first value wins
+export function parsePageMeta(html) {
+  const meta = {};
+  for (const [tag] of String(html).matchAll(/<meta\s[^>]*>/gi)) {
+    const attrs = {};
+    for (const [, name, , value] of tag.matchAll(/([a-z:-]+)\s*=\s*(["'])(.*?)\2/gi)) {
+      attrs[name.toLowerCase()] = decodeEntities(value);
+    }
+    const key = (attrs.property || attrs.name || attrs.itemprop || "").toLowerCase();
+    if (key && attrs.content !== undefined && meta[key] === undefined) {
+      meta[key] = attrs.content;
+    }
+  }
+  return meta;
+}
+
+function fromPageMeta(meta) {
+  const seconds = Number(meta["music:duration"] || meta["og:video:duration"]);
+  return {
+    title: cleanText(meta["og:title"] || meta["twitter:title"]),
+    artist: cleanText(meta["twitter:audio:artist_name"] || meta["music:musician_description"] || meta["og:audio:artist"]),
+    thumbnail: cleanThumbnail(meta["og:image"] || meta["twitter:image"]),
+    duration: seconds > 0 ? Math.round(seconds) : parseIsoDuration(meta.duration),
+  };
+}
+
+// Text of a response, read no further than MAX_BODY_BYTES: pages can be huge and only their
+// <head> is of any use
+async function readBody(res) {
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < MAX_BODY_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+  if (size >= MAX_BODY_BYTES) await reader.cancel().catch(() => {});
+  return new TextDecoder().decode(Buffer.concat(chunks).subarray(0, MAX_BODY_BYTES));
+}
+
+export function createMetadataService({
+  storage,
+  fetchImpl = globalThis.fetch,
+  endpoints = DEFAULT_ENDPOINTS,
+  enabled = process.env.METADATA_FETCH !== "off",
+} = {}) {
+  async function request(url, type) {
+    const res = await fetchImpl(url, {
+      headers: { Accept: type === "json" ? "application/json" : "text/html", "User-Agent": "tonpere-metadata/1.0" },
+      redirect: "follow",
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status} from ${new URL(url).hostname}`);
+    }
+    const body = await readBody(res);
+    return type === "json" ? JSON.parse(body) : body;
+  }
+
+  function pageUrl(url) {
+    if (!endpoints.pages) return url;
+    const { hostname, pathname, search } = new URL(url);
+    return `${endpoints.pages.replace(/\/+$/, "")}/${hostname}${pathname}${search}`;
+  }
+
+  async function fromOEmbed(parsed) {
+    if (parsed.platform === "deezer") {
+      const data = await request(`${endpoints.deezer}/${parsed.kind}/${parsed.id}`, "json");
+      if (data.error) throw new Error(data.error.message || "Deezer API error");
+      return {
+        title: cleanText(data.title),
+        artist: cleanText((data.artist && data.artist.name) || (data.creator && data.creator.name)),
+        thumbnail: cleanThumbnail((data.album && data.album.cover_medium) || data.cover_medium || data.picture_medium),
+        duration: data.duration > 0 ? data.duration : null,
+      };
+    }
+    const endpoint = endpoints[parsed.platform];
+    if (!endpoint) return {};
+    const data = await request(`${endpoint}?format=json&url=${encodeURIComponent(parsed.canonicalUrl)}`, "json");
+    return {
+      title: cleanText(data.title),
+      artist: cleanText(data.author_name),
+      thumbnail: cleanThumbnail(data.thumbnail_url),
+      duration: null,
+    };
+  }
+
+  // Look a link up without touching the cache. Throws when nothing could be found.
+  async function fetchMetadata(url) {
+    const parsed = parseMusicLink(url);
+    if (!parsed) throw new Error("Unsupported link");
+
+    const result = { title: null, artist: null, thumbnail: null, duration: null };
+    const errors = [];
+    const merge = (data) => FIELDS.forEach((field) => {
+      if (result[field] === null && data[field] !== null && data[field] !== undefined) result[field] = data[field];
+    });
+
+    try {
+      merge(await fromOEmbed(parsed));
+    } catch (err) {
+      errors.push(err.message);
+    }
+    if (PAGE_FIELDS.some((field) => result[field] === null)) {
+      try {
+        merge(fromPageMeta(parsePageMeta(await request(pageUrl(parsed.canonicalUrl), "html"))));
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    if (!result.title) {
+      throw new Error(errors.join("; ") || "No metadata found");
+    }
+    return { ...result, provider: parsed.platform };
+  }
+
+  function readCache() {
+    return storage.read("link-metadata", {});
+  }
+
+  function isFresh(entry, now) {
+    if (!entry) return false;
+    if (!entry.error) return true;
+    return now - new Date(entry.fetchedAt).getTime() < RETRY_ERRORS_AFTER_MS;
+  }
+
+  return {
+    fetchMetadata,
+
+    // Cached metadata for a URL ({ title, artist, thumbnail, duration }), or null
+    get(url) {
+      const entry = readCache()[url];
+      return entry && !entry.error ? entry : null;
+    },
+
+    // Map url -> cached metadata for the URLs that have some
+    getMany(urls) {
+      const cache = readCache();
+      const found = new Map();
+      for (const url of urls) {
+        if (cache[url] && !cache[url].error) found.set(url, cache[url]);
+      }
+      return found;
+    },
+
+    // Fetch and cache metadata for the URLs missing from the cache, one at a time.
+    // Resolves to { fetched, failed }; never rejects.
+    async enrich(urls, { force = false } = {}) {
+      const summary = { fetched: 0, failed: 0 };
+      if (!enabled) return summary;
+      const cache = readCache();
+      const now = Date.now();
+      const todo = [...new Set(urls)].filter((url) => url && parseMusicLink(url) && (force || !isFresh(cache[url], now)));
+      for (const url of todo) {
+        let entry;
+        try {
+          entry = { ...(await fetchMetadata(url)), fetchedAt: new Date().toISOString() };
+          summary.fetched += 1;
+        } catch (err) {
+          entry = { error: err.message, fetchedAt: new Date().toISOString() };
+          summary.failed += 1;
+        }
+        storage.update("link-metadata", {}, (current) => ({ ...current, [url]: entry }));
+      }
+      return summary;
+    },
+  };
+}
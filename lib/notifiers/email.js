@@ -0,0 +1,47 @@
+// Email over SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM)
+
+import nodemailer from "nodemailer";
+
+export function createEmailNotifier({ env = process.env } = {}) {
+  const host = env.SMTP_HOST;
+  const from = env.SMTP_FROM;
+  const missing = [
+    ["SMTP_HOST", host],
+    ["SMTP_FROM", from],
+  ].filter(([, value]) => !value).map(([name]) => name);
+
+  let transporter = null;
+
+  function getTransporter() {
+    if (!transporter) {
+      const port = parseInt(env.SMTP_PORT || "587", 10);
+      transporter = nodemailer.createTransport({
+        host,
+        port,
+        // Implicit TLS on 465, STARTTLS otherwise unless told explicitly
+        secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : port === 465,
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+      });
+    }
+    return transporter;
+  }
+
+  return {
+    channel: "email",
+    configured: missing.length === 0,
+    missing,
+    async send(email, message) {
+      if (missing.length > 0) {
+        throw new Error(`Email not configured, set ${missing.join(", ")}`);
+      }
+      const info = await getTransporter().sendMail({
+        from,
+        to: email,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+      });
+      return { id: info.messageId };
+    },
+  };
+}
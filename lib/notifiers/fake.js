@@ -0,0 +1,26 @@
+// Fake transport: appends each message as a JSON line to a log file and prints it.
+// Nothing leaves the machine, so the daily job can be run end to end without credentials.
+
+import fs from "fs";
+
+export function createFakeNotifier({ channel, logPath }) {
+  let counter = 0;
+
+  return {
+    channel,
+    configured: true,
+    missing: [],
+    async send(address, message) {
+      counter += 1;
+      const id = `fake-${Date.now()}-${counter}`;
+      const entry = { id, at: new Date().toISOString(), channel, to: address, ...message };
+      if (logPath) {
+        fs.appendFileSync(logPath, JSON.stringify(entry) + "\n");
+      }
+      // Push addresses are subscriptions, shown by their endpoint
+      const to = typeof address === "object" ? address.endpoint : address;
+      console.log(`[fake ${channel}] to ${to}: ${message.subject}\n${message.text}`);
+      return { id };
+    },
+  };
+}
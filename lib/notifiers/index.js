@@ -0,0 +1,58 @@
+// Notification channels for the daily message.
+//
+// Every channel exposes the same interface:
+//   channel                 "sms" | "email" | "webhook" | "push" | "fake"
+//   configured              false when credentials are missing (`missing` says which)
+//   send(address, message)  -> Promise<{ id }>, message = { subject, text, html }
+//
+// NOTIFY_TRANSPORT=fake swaps every channel for the fake transport, which only writes what
+// would have been sent to the console and a log file, for development and offline tests.
+
+import path from "path";
+import { createSmsNotifier } from "./sms.js";
+import { createEmailNotifier } from "./email.js";
+import { createWebhookNotifier } from "./webhook.js";
+import { createPushNotifier } from "./push.js";
+import { createFakeNotifier } from "./fake.js";
+
+export { createSmsNotifier, createEmailNotifier, createWebhookNotifier, createPushNotifier, createFakeNotifier };
+
+// Recipient field holding the address for each channel, in fallback order
+export const CHANNEL_FIELDS = {
+  sms: "phone",
+  email: "email",
+  webhook: "webhookUrl",
+  push: "pushSubscription",
+};
+
+export const CHANNELS = Object.keys(CHANNEL_FIELDS);
+
+export function createNotifiers({ dataDir, env = process.env } = {}) {
+  const transport = env.NOTIFY_TRANSPORT || "live";
+  if (transport === "fake") {
+    const logPath = env.NOTIFY_FAKE_FILE || path.join(dataDir, "notifications.log");
+    return Object.fromEntries(CHANNELS.map((channel) => [channel, createFakeNotifier({ channel, logPath })]));
+  }
+  if (transport !== "live") {
+    throw new Error(`Unknown NOTIFY_TRANSPORT "${transport}" (expected live or fake)`);
+  }
+  return {
+    sms: createSmsNotifier({ env }),
+    email: createEmailNotifier({ env }),
+    webhook: createWebhookNotifier({ env }),
+    push: createPushNotifier({ env }),
+  };
+}
+
+// Pick how to reach a recipient: their preferred channel when it has an address and is
+// configured, otherwise the first other channel that works. Returns { channel, address } or null.
+export function resolveChannel(recipient, notifiers) {
+  const order = [recipient.channel, ...CHANNELS.filter((channel) => channel !== recipient.channel)];
+  for (const channel of order) {
+    const address = recipient[CHANNEL_FIELDS[channel]];
+    if (address && notifiers[channel] && notifiers[channel].configured) {
+      return { channel, address };
+    }
+  }
+  return null;
+}
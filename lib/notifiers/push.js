@@ -0,0 +1,31 @@
+// Web Push to the browsers that subscribed on the calendar page (VAPID_PUBLIC_KEY,
+// VAPID_PRIVATE_KEY, VAPID_SUBJECT). The address is the browser's push subscription and the
+// payload { title, body, url } is shown by public/sw.js. See lib/web-push.js.
+
+import { sendPushMessage } from "../web-push.js";
+
+export function createPushNotifier({ env = process.env, fetchImpl = globalThis.fetch } = {}) {
+  const vapid = {
+    publicKey: env.VAPID_PUBLIC_KEY,
+    privateKey: env.VAPID_PRIVATE_KEY,
+    subject: env.VAPID_SUBJECT,
+  };
+  const missing = [
+    ["VAPID_PUBLIC_KEY", vapid.publicKey],
+    ["VAPID_PRIVATE_KEY", vapid.privateKey],
+    ["VAPID_SUBJECT", vapid.subject],
+  ].filter(([, value]) => !value).map(([name]) => name);
+
+  return {
+    channel: "push",
+    configured: missing.length === 0,
+    missing,
+    async send(subscription, message) {
+      if (missing.length > 0) {
+        throw new Error(`Push not configured, set ${missing.join(", ")}`);
+      }
+      const payload = JSON.stringify({ title: message.subject, body: message.text, url: message.url || "/" });
+      return sendPushMessage(subscription, payload, { vapid, fetchImpl });
+    },
+  };
+}
@@ -0,0 +1,34 @@
+// SMS through Twilio (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER)
+
+import twilio from "twilio";
+
+export function createSmsNotifier({ env = process.env } = {}) {
+  const accountSid = env.TWILIO_ACCOUNT_SID;
+  const authToken = env.TWILIO_AUTH_TOKEN;
+  const fromNumber = env.TWILIO_FROM_NUMBER;
+  const missing = [
+    ["TWILIO_ACCOUNT_SID", accountSid],
+    ["TWILIO_AUTH_TOKEN", authToken],
+    ["TWILIO_FROM_NUMBER", fromNumber],
+  ].filter(([, value]) => !value).map(([name]) => name);
+
+  let client = null;
+
+  return {
+    channel: "sms",
+    configured: missing.length === 0,
+    missing,
+    async send(phoneNumber, message) {
+      if (missing.length > 0) {
+        throw new Error(`SMS not configured, set ${missing.join(", ")}`);
+      }
+      client = client || twilio(accountSid, authToken);
+      const result = await client.messages.create({
+        body: message.text,
+        from: fromNumber,
+        to: phoneNumber,
+      });
+      return { id: result.sid };
+    },
+  };
+}
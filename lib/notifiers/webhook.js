@@ -0,0 +1,35 @@
+// Chat webhooks: each recipient brings their own URL, nothing to configure server-side.
+// Discord gets { content }, Slack { text }, anything else both plus the subject.
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+function buildPayload(url, message) {
+  const hostname = new URL(url).hostname;
+  if (hostname === "discord.com" || hostname === "discordapp.com") {
+    return { content: message.text };
+  }
+  if (hostname === "hooks.slack.com") {
+    return { text: message.text };
+  }
+  return { subject: message.subject, text: message.text, content: message.text };
+}
+
+export function createWebhookNotifier({ fetchImpl = globalThis.fetch } = {}) {
+  return {
+    channel: "webhook",
+    configured: true,
+    missing: [],
+    async send(url, message) {
+      const res = await fetchImpl(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(buildPayload(url, message)),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      if (!res.ok) {
+        throw new Error(`Webhook answered HTTP ${res.status}`);
+      }
+      return { id: res.headers.get("x-request-id") || null };
+    },
+  };
+}
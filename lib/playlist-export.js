@@ -0,0 +1,71 @@
+// Playlist files for GET /api/calendar/export. Every format takes the same track list, in day order:
+//   [{ day, position, url, title, artist, duration, submitterName, note }]
+// title, artist, duration (seconds), submitterName and note may be null.
+
+import { escapeXml } from "./xml.js";
+
+export const EXPORT_FORMATS = {
+  m3u: { contentType: "audio/x-mpegurl; charset=utf-8", extension: "m3u" },
+  xspf: { contentType: "application/xspf+xml; charset=utf-8", extension: "xspf" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+function displayTitle(track) {
+  if (!track.title) return `Jour ${track.day} - ${track.url}`;
+  return track.artist && !track.title.includes(track.artist) ? `${track.artist} - ${track.title}` : track.title;
+}
+
+// Extended M3U: players that can't open the URLs still show the titles
+function toM3u(tracks, title) {
+  const lines = ["#EXTM3U", `#PLAYLIST:${title}`];
+  for (const track of tracks) {
+    lines.push(`#EXTINF:${track.duration || -1},${displayTitle(track).replace(/[\r\n]+/g, " ")}`, track.url);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function toXspf(tracks, title) {
+  const items = tracks.map((track, index) => {
+    const fields = [`      <location>${escapeXml(track.url)}</location>`];
+    if (track.title) fields.push(`      <title>${escapeXml(track.title)}</title>`);
+    if (track.artist) fields.push(`      <creator>${escapeXml(track.artist)}</creator>`);
+    if (track.duration) fields.push(`      <duration>${track.duration * 1000}</duration>`);
+    const credit = track.submitterName ? ` - proposé par ${track.submitterName}` : "";
+    fields.push(`      <annotation>${escapeXml(`Jour ${track.day}${credit}${track.note ? ` : ${track.note}` : ""}`)}</annotation>`);
+    fields.push(`      <trackNum>${index + 1}</trackNum>`);
+    return `    <track>\n${fields.join("\n")}\n    </track>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>${escapeXml(title)}</title>
+  <trackList>
+${items.join("\n")}
+  </trackList>
+</playlist>
+`;
+}
+
+// RFC 4180 field; cells starting like a formula are prefixed so spreadsheets show them as text
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(tracks) {
+  const columns = ["day", "position", "title", "artist", "duration", "url", "submitterName", "note"];
+  const rows = tracks.map((track) => columns.map((column) => csvField(track[column])).join(","));
+  return `${[columns.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+function toJson(tracks, title) {
+  return `${JSON.stringify({ title, exportedAt: new Date().toISOString(), tracks }, null, 2)}\n`;
+}
+
+const RENDERERS = { m3u: toM3u, xspf: toXspf, csv: toCsv, json: toJson };
+
+export function renderPlaylist(format, tracks, title) {
+  return RENDERERS[format](tracks, title);
+}
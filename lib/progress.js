@@ -0,0 +1,62 @@
+// Viewed days synced across devices.
+// Each browser is a visitor (the tp_visitor cookie, see server.js) attached to a profile; a
+// pairing code shown on one device attaches another device to the same profile.
+//   "progress": { profiles: { "<profileId>": { days: [1, 2], createdAt, updatedAt } },
+//                 devices:  { "<visitorId>": "<profileId>" },
+//                 pairingCodes: { "<code hash>": { profileId, expiresAt } } }
+
+import crypto from "crypto";
+
+export const PAIRING_CODE_TTL_MS = 10 * 60 * 1000;
+
+// No 0/O, 1/I/L so codes survive being read out loud or typed on a phone
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+export function generatePairingCode() {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// "abc-123" / "ABC 123" -> "ABC123", null when it can't be a pairing code
+export function normalizePairingCode(input) {
+  const code = String(input || "").toUpperCase().replace(/[\s-]/g, "");
+  return code.length === CODE_LENGTH && [...code].every((c) => CODE_ALPHABET.includes(c)) ? code : null;
+}
+
+export function normalizeProgress(doc) {
+  return {
+    profiles: (doc && doc.profiles) || {},
+    devices: (doc && doc.devices) || {},
+    pairingCodes: (doc && doc.pairingCodes) || {},
+  };
+}
+
+// Sorted union of day lists, keeping only integers accepted by isAllowed(day)
+export function mergeDays(a, b, isAllowed = () => true) {
+  const days = new Set();
+  for (const value of [...(a || []), ...(b || [])]) {
+    const day = Number(value);
+    if (Number.isInteger(day) && isAllowed(day)) days.add(day);
+  }
+  return Array.from(days).sort((x, y) => x - y);
+}
+
+// { day: number of profiles that opened it }
+export function countOpenedDays(profiles) {
+  const counts = {};
+  for (const profile of Object.values(profiles)) {
+    for (const day of profile.days || []) {
+      counts[day] = (counts[day] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+// Drop expired pairing codes
+export function pruneCodes(pairingCodes, now = new Date()) {
+  return Object.fromEntries(Object.entries(pairingCodes).filter(([, entry]) => new Date(entry.expiresAt) > now));
+}
@@ -0,0 +1,37 @@
+// In-memory fixed-window rate limiter. Counters are per process and lost on restart, which is
+// enough to slow down a script hammering an endpoint.
+//
+//   const limiter = createRateLimiter({ windowMs: 60000, max: 5 });
+//   const { allowed, retryAfter } = limiter.hit(key);   // retryAfter in seconds
+
+export function createRateLimiter({ windowMs, max }) {
+  const hits = new Map();
+
+  // Drop finished windows now and then so the map doesn't grow forever
+  function prune(now) {
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }
+
+  return {
+    hit(key, now = Date.now()) {
+      if (hits.size > 10000) prune(now);
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
+      return {
+        allowed: entry.count <= max,
+        remaining: Math.max(max - entry.count, 0),
+        retryAfter: Math.ceil((entry.resetAt - now) / 1000),
+      };
+    },
+
+    reset(key) {
+      hits.delete(key);
+    },
+  };
+}
@@ -0,0 +1,184 @@
+// Short link store behind /:code.
+// The "short-links" document keeps both directions so lookups never scan the list:
+//   { codes: { "<code>": { url, createdAt, expiresAt, alias } },
+//     urls:  { "<url>": "<code>" } }       // generated code currently used for a URL
+// Aliases ("jour12") are extra codes chosen by hand; they never replace the generated code.
+// Files from older versions (a flat { code: url } map) are converted on read.
+
+import crypto from "crypto";
+
+const CODE_ALPHABET = "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const CODE_LENGTH = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CODE_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+export const ALIAS_PATTERN = /^[a-z0-9][a-z0-9-]{2,31}$/;
+
+function toEntry(value) {
+  return typeof value === "string" ? { url: value, createdAt: null, expiresAt: null, alias: false } : { alias: false, ...value };
+}
+
+export function isExpired(entry, now = new Date()) {
+  return Boolean(entry.expiresAt) && new Date(entry.expiresAt) <= now;
+}
+
+function normalize(doc) {
+  if (doc && doc.codes && doc.urls) return doc;
+  const codes = {};
+  const urls = {};
+  for (const [code, value] of Object.entries(doc || {})) {
+    const entry = toEntry(value);
+    codes[code] = entry;
+    if (!urls[entry.url] && !isExpired(entry)) urls[entry.url] = code;
+  }
+  return { codes, urls };
+}
+
+function randomCode() {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Links point to http(s) URLs or to a path on this site ("/jour/12")
+export function isValidTarget(url) {
+  if (typeof url !== "string") return false;
+  if (/^\/(?!\/)/.test(url)) return true;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "https:" || parsed.protocol === "http:";
+  } catch (err) {
+    return false;
+  }
+}
+
+// isReserved(code) tells whether a code would shadow a real path (static file, route)
+export function createShortLinkStore({ storage, isReserved = () => false, ttlDays = null }) {
+  const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+  function read() {
+    return normalize(storage.read("short-links", {}));
+  }
+
+  function update(mutator) {
+    return storage.update("short-links", {}, (doc) => mutator(normalize(doc)));
+  }
+
+  function newCode(codes) {
+    let code = randomCode();
+    while (has(codes, code) || isReserved(code)) {
+      code = randomCode();
+    }
+    return code;
+  }
+
+  // Codes for several URLs at once, created as needed in a single write: { url: code }
+  function getCodes(urls) {
+    const result = {};
+    update((doc) => {
+      let changed = false;
+      const now = new Date();
+      const codes = { ...doc.codes };
+      const index = { ...doc.urls };
+      for (const url of urls) {
+        const existing = index[url];
+        if (existing && has(codes, existing) && !isExpired(codes[existing], now)) {
+          result[url] = existing;
+          continue;
+        }
+        const code = newCode(codes);
+        codes[code] = {
+          url,
+          createdAt: now.toISOString(),
+          expiresAt: ttlDays > 0 ? new Date(now.getTime() + ttlDays * DAY_MS).toISOString() : null,
+          alias: false,
+        };
+        index[url] = code;
+        result[url] = code;
+        changed = true;
+      }
+      return changed ? { codes, urls: index } : undefined;
+    });
+    return result;
+  }
+
+  return {
+    getCode(url) {
+      return getCodes([url])[url];
+    },
+
+    getCodes,
+
+    // Current codes of the URLs that have one, without creating any: { url: code }
+    findCodes(urls) {
+      const { codes, urls: index } = read();
+      const now = new Date();
+      const result = {};
+      for (const url of urls) {
+        const code = index[url];
+        if (code && has(codes, code) && !isExpired(codes[code], now)) result[url] = code;
+      }
+      return result;
+    },
+
+    // Entry for a code, or null
+    resolve(code) {
+      const { codes } = read();
+      return has(codes, code) ? codes[code] : null;
+    },
+
+    // { code: entry } for every code, aliases included
+    list() {
+      return read().codes;
+    },
+
+    // Human-readable code for a URL; fails when the alias is malformed, reserved or taken
+    addAlias(alias, url) {
+      if (!ALIAS_PATTERN.test(alias)) {
+        throw new Error("Alias must be 3-32 lowercase letters, digits or dashes");
+      }
+      if (isReserved(alias)) {
+        throw new Error(`"${alias}" is a reserved path`);
+      }
+      if (!isValidTarget(url)) {
+        throw new Error("Alias target must be an http(s) URL or a path starting with /");
+      }
+      let entry = null;
+      update((doc) => {
+        if (has(doc.codes, alias)) return undefined;
+        entry = { url, createdAt: new Date().toISOString(), expiresAt: null, alias: true };
+        return { codes: { ...doc.codes, [alias]: entry }, urls: doc.urls };
+      });
+      if (!entry) {
+        throw new Error(`"${alias}" is already used`);
+      }
+      return entry;
+    },
+
+    setExpiry(code, expiresAt) {
+      let entry = null;
+      update((doc) => {
+        if (!has(doc.codes, code)) return undefined;
+        entry = { ...doc.codes[code], expiresAt };
+        return { codes: { ...doc.codes, [code]: entry }, urls: doc.urls };
+      });
+      return entry;
+    },
+
+    // Removed entry, or null when the code doesn't exist
+    remove(code) {
+      let removed = null;
+      update((doc) => {
+        if (!has(doc.codes, code)) return undefined;
+        removed = doc.codes[code];
+        const { [code]: _removed, ...codes } = doc.codes;
+        const urls = { ...doc.urls };
+        if (urls[removed.url] === code) delete urls[removed.url];
+        return { codes, urls };
+      });
+      return removed;
+    },
+  };
+}
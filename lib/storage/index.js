@@ -0,0 +1,34 @@
+// Storage abstraction for the JSON documents kept by the app
+// (submissions, calendar, short-links, delivery-log, ...).
+//
+// Every backend exposes the same synchronous interface:
+//   read(name, fallback)            -> stored value, or fallback when missing/unreadable
+//   write(name, value)              -> replace the whole document
+//   update(name, fallback, mutator) -> locked read-modify-write; mutator gets the current
+//                                      value and returns the new one (undefined = no write)
+//   list()                          -> names of the stored documents
+//
+// The backend is picked with STORAGE_BACKEND=json|sqlite (default json).
+
+import fs from "fs";
+import path from "path";
+import { createJsonStore } from "./json-store.js";
+import { createSqliteStore } from "./sqlite-store.js";
+
+export { writeFileAtomic } from "./json-store.js";
+export { createJsonStore, createSqliteStore };
+
+export function createStorage({ dataDir, backend = process.env.STORAGE_BACKEND || "json", sqlitePath = process.env.SQLITE_PATH } = {}) {
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  switch (backend) {
+    case "json":
+      return createJsonStore({ dataDir });
+    case "sqlite":
+      return createSqliteStore({ sqlitePath: sqlitePath || path.join(dataDir, "tonpere.sqlite") });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected json or sqlite)`);
+  }
+}
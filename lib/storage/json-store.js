@@ -0,0 +1,138 @@
+// JSON file backend: one <name>.json file per document in the data directory.
+// Writes go to a temp file which is then renamed over the original, so a crash
+// mid-write never leaves a truncated file behind. Read-modify-write cycles take
+// a <name>.json.lock file so the server and the scripts can't interleave updates.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000;
+const LOCK_RETRY_MS = 10;
+
+// Locks already held by this process (update() calls may nest)
+const heldLocks = new Set();
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function acquireLock(lockPath) {
+  const started = Date.now();
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, "wx");
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+
+    // Break locks left behind by a process that died while holding them
+    try {
+      const { mtimeMs } = fs.statSync(lockPath);
+      if (Date.now() - mtimeMs > STALE_LOCK_MS) {
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+    } catch (err) {
+      // Lock released between openSync and statSync, try again right away
+      continue;
+    }
+
+    if (Date.now() - started > LOCK_TIMEOUT_MS) {
+      throw new Error(`Timed out waiting for lock ${lockPath}`);
+    }
+    sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+export function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    const fd = fs.openSync(tmpPath, "w");
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+export function createJsonStore({ dataDir }) {
+  function filePath(name) {
+    return path.join(dataDir, `${name}.json`);
+  }
+
+  // Strict read: a missing file yields the fallback, an unreadable one throws
+  function load(name, fallback) {
+    const file = filePath(name);
+    if (!fs.existsSync(file)) {
+      return fallback;
+    }
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  }
+
+  function save(name, value) {
+    writeFileAtomic(filePath(name), JSON.stringify(value, null, 2));
+  }
+
+  function withLock(name, fn) {
+    const lockPath = `${filePath(name)}.lock`;
+    if (heldLocks.has(lockPath)) {
+      return fn();
+    }
+    acquireLock(lockPath);
+    heldLocks.add(lockPath);
+    try {
+      return fn();
+    } finally {
+      heldLocks.delete(lockPath);
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  return {
+    backend: "json",
+
+    read(name, fallback) {
+      try {
+        return load(name, fallback);
+      } catch (err) {
+        console.error(`Error reading ${name}:`, err.message);
+        return fallback;
+      }
+    },
+
+    write(name, value) {
+      withLock(name, () => save(name, value));
+    },
+
+    update(name, fallback, mutator) {
+      return withLock(name, () => {
+        const next = mutator(load(name, fallback));
+        if (next !== undefined) {
+          save(name, next);
+        }
+        return next;
+      });
+    },
+
+    list() {
+      if (!fs.existsSync(dataDir)) return [];
+      return fs
+        .readdirSync(dataDir)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => file.slice(0, -".json".length));
+    },
+
+    close() {},
+  };
+}
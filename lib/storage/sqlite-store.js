@@ -0,0 +1,80 @@
+// SQLite backend: every document is a JSON row in a single `documents` table.
+// better-sqlite3 is an optional dependency, so it is only loaded when selected.
+
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+export function createSqliteStore({ sqlitePath }) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (err) {
+    throw new Error("STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)");
+  }
+
+  const db = new Database(sqlitePath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      name TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  const selectStmt = db.prepare("SELECT value FROM documents WHERE name = ?");
+  const upsertStmt = db.prepare(`
+    INSERT INTO documents (name, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `);
+  const listStmt = db.prepare("SELECT name FROM documents ORDER BY name");
+
+  function load(name, fallback) {
+    const row = selectStmt.get(name);
+    return row ? JSON.parse(row.value) : fallback;
+  }
+
+  function save(name, value) {
+    upsertStmt.run(name, JSON.stringify(value), new Date().toISOString());
+  }
+
+  // IMMEDIATE takes the write lock up front so concurrent updates serialize
+  const updateTx = db.transaction((name, fallback, mutator) => {
+    const next = mutator(load(name, fallback));
+    if (next !== undefined) {
+      save(name, next);
+    }
+    return next;
+  });
+
+  return {
+    backend: "sqlite",
+
+    read(name, fallback) {
+      try {
+        return load(name, fallback);
+      } catch (err) {
+        console.error(`Error reading ${name}:`, err.message);
+        return fallback;
+      }
+    },
+
+    write(name, value) {
+      save(name, value);
+    },
+
+    update(name, fallback, mutator) {
+      return updateTx.immediate(name, fallback, mutator);
+    },
+
+    list() {
+      return listStmt.all().map((row) => row.name);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,56 @@
+// Submitter names and submitted tracks, shared by server.js and scripts/generate-calendar.js.
+// Names are matched loosely ("Ada", "ada ", "Adà" are the same person) and tracks by
+// canonical identity (see getTrackKey in public/music-links.js).
+
+import { getTrackKey } from "../public/music-links.js";
+
+// Display form: trimmed, single spaces, composed Unicode
+export function cleanSubmitterName(name) {
+  return String(name || "").normalize("NFC").replace(/\s+/g, " ").trim();
+}
+
+// Comparison key: case, accents and spacing don't matter
+export function getSubmitterKey(name) {
+  return cleanSubmitterName(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function submissionLinks(submission) {
+  const videos = Array.isArray(submission.videos) ? submission.videos : [];
+  return submission.banger ? videos.concat(submission.banger) : videos;
+}
+
+// Map of track key -> submitter key for every link already submitted
+// (optionally ignoring one submission, e.g. the one being edited)
+export function indexSubmittedTracks(submissions, excludeId = null) {
+  const owners = new Map();
+  for (const submission of submissions) {
+    if (submission.id === excludeId) continue;
+    for (const url of submissionLinks(submission)) {
+      const key = getTrackKey(url);
+      if (!owners.has(key)) owners.set(key, getSubmitterKey(submission.name));
+    }
+  }
+  return owners;
+}
+
+// Map of track key -> { submitterName, note, anonymous } for every submitted link, first
+// submission wins like in indexSubmittedTracks. Used to credit calendar entries.
+export function indexTrackAttributions(submissions) {
+  const attributions = new Map();
+  for (const submission of submissions) {
+    const notes = submission.notes || {};
+    for (const url of submissionLinks(submission)) {
+      const key = getTrackKey(url);
+      if (attributions.has(key)) continue;
+      attributions.set(key, {
+        submitterName: cleanSubmitterName(submission.name),
+        note: notes[url] || null,
+        anonymous: Boolean(submission.anonymous),
+      });
+    }
+  }
+  return attributions;
+}
@@ -0,0 +1,59 @@
+// Phone subscriptions: number validation, one-time confirmation codes and SMS keywords.
+// The subscriber list itself is the "subscribers" document, managed by server.js:
+//   [{ phone, status: "pending" | "active" | "unsubscribed", codeHash, codeExpiresAt, codeSentAt,
+//      codeAttempts, unsubscribeToken, source, createdAt, confirmedAt, unsubscribedAt }]
+
+import crypto from "crypto";
+
+export const CODE_TTL_MS = 10 * 60 * 1000;
+export const CODE_RESEND_DELAY_MS = 60 * 1000;
+export const MAX_CODE_ATTEMPTS = 5;
+
+const E164 = /^\+[1-9]\d{6,14}$/;
+
+// Keywords carriers and Twilio treat as opt-out / opt-in, plus the French ones
+const STOP_KEYWORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT", "ARRET"];
+const START_KEYWORDS = ["START", "UNSTOP", "YES"];
+
+// E.164 form of a typed number ("+33 6 12-34-56-78", "0033612345678"), null if it isn't one
+export function normalizePhoneNumber(input) {
+  let phone = String(input || "").replace(/[\s.()-]/g, "");
+  if (phone.startsWith("00")) phone = `+${phone.slice(2)}`;
+  return E164.test(phone) ? phone : null;
+}
+
+export function generateConfirmationCode() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+}
+
+export function generateUnsubscribeToken() {
+  return crypto.randomBytes(18).toString("base64url");
+}
+
+// Entry of the "subscribers" document, pending until its code is confirmed unless fields say otherwise
+export function newSubscriber(phone, fields = {}) {
+  return {
+    phone,
+    status: "pending",
+    unsubscribeToken: generateUnsubscribeToken(),
+    createdAt: new Date().toISOString(),
+    ...fields,
+  };
+}
+
+export function hashSecret(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+// "stop", "start" or null for the text of an inbound SMS
+export function parseSmsKeyword(body) {
+  const word = String(body || "")
+    .trim()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .split(/\s+/)[0];
+  if (STOP_KEYWORDS.includes(word)) return "stop";
+  if (START_KEYWORDS.includes(word)) return "start";
+  return null;
+}
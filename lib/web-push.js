@@ -0,0 +1,206 @@
+// Web Push without a third-party client: VAPID authentication (RFC 8292) and aes128gcm
+// payload encryption (RFC 8291), on top of Node's crypto.
+// Subscriptions are the browser's PushSubscription JSON: { endpoint, keys: { p256dh, auth } }.
+// VAPID keys are base64url: the raw P-256 public key (65 bytes) and private scalar (32 bytes),
+// as printed by `npm run push:keys`.
+// The receiving side (verifyVapidAuthorization, decryptPayload) is what a push service does;
+// scripts/mock-push-server.js uses it to check pushes locally.
+
+import crypto from "crypto";
+
+const CURVE = "prime256v1";
+const RECORD_SIZE = 4096;
+const JWT_TTL_SECONDS = 12 * 60 * 60;
+const PUSH_TIMEOUT_MS = 10000;
+
+function toBase64Url(buffer) {
+  return Buffer.from(buffer).toString("base64url");
+}
+
+function fromBase64Url(value) {
+  return Buffer.from(String(value), "base64url");
+}
+
+export function generateVapidKeys() {
+  const ecdh = crypto.createECDH(CURVE);
+  ecdh.generateKeys();
+  return { publicKey: toBase64Url(ecdh.getPublicKey()), privateKey: toBase64Url(ecdh.getPrivateKey()) };
+}
+
+// Hosts of the browsers' push services: Chrome and Edge (FCM), Firefox (autopush), Safari and
+// Windows (WNS). The server posts every daily message to the stored endpoints, so any other host
+// would let a visitor make it send requests wherever they like.
+const PUSH_SERVICE_HOSTS = ["fcm.googleapis.com"];
+const PUSH_SERVICE_HOST_SUFFIXES = [".push.services.mozilla.com", ".push.apple.com", ".notify.windows.com"];
+
+function isPushServiceUrl(url) {
+  if (url.protocol !== "https:" || url.port || url.username || url.password) return false;
+  const host = url.hostname;
+  return PUSH_SERVICE_HOSTS.includes(host) || PUSH_SERVICE_HOST_SUFFIXES.some((suffix) => host.endsWith(suffix));
+}
+
+// { endpoint, keys: { p256dh, auth } } from a request body, or { error }.
+// Endpoints must be https:// URLs of a known push service; allowInsecure also accepts any
+// http:// URL, for a local mock push service.
+export function parsePushSubscription(body, { allowInsecure = false } = {}) {
+  const endpoint = body && typeof body.endpoint === "string" ? body.endpoint.trim() : "";
+  let url = null;
+  try {
+    url = new URL(endpoint);
+  } catch (err) {
+    url = null;
+  }
+  if (!url || !(url.protocol === "https:" || (allowInsecure && url.protocol === "http:"))) {
+    return { error: "endpoint must be an https:// URL" };
+  }
+  if (url.protocol === "https:" && !isPushServiceUrl(url)) {
+    return { error: "endpoint must belong to a known push service" };
+  }
+  const keys = (body && body.keys) || {};
+  const p256dh = typeof keys.p256dh === "string" ? fromBase64Url(keys.p256dh) : Buffer.alloc(0);
+  const auth = typeof keys.auth === "string" ? fromBase64Url(keys.auth) : Buffer.alloc(0);
+  if (p256dh.length !== 65 || p256dh[0] !== 0x04) {
+    return { error: "keys.p256dh must be an uncompressed P-256 public key" };
+  }
+  if (auth.length !== 16) {
+    return { error: "keys.auth must be 16 bytes" };
+  }
+  return { subscription: { endpoint: url.href, keys: { p256dh: toBase64Url(p256dh), auth: toBase64Url(auth) } } };
+}
+
+function vapidPrivateKey(publicKey, privateKey) {
+  const pub = fromBase64Url(publicKey);
+  return crypto.createPrivateKey({
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      d: toBase64Url(fromBase64Url(privateKey)),
+      x: toBase64Url(pub.subarray(1, 33)),
+      y: toBase64Url(pub.subarray(33, 65)),
+    },
+    format: "jwk",
+  });
+}
+
+function vapidPublicKey(publicKey) {
+  const pub = fromBase64Url(publicKey);
+  return crypto.createPublicKey({
+    key: { kty: "EC", crv: "P-256", x: toBase64Url(pub.subarray(1, 33)), y: toBase64Url(pub.subarray(33, 65)) },
+    format: "jwk",
+  });
+}
+
+// "vapid t=<ES256 JWT>, k=<public key>" for a push endpoint
+export function buildVapidAuthorization(endpoint, { publicKey, privateKey, subject }, now = new Date()) {
+  const header = toBase64Url(JSON.stringify({ typ: "JWT", alg: "ES256" }));
+  const claims = toBase64Url(
+    JSON.stringify({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(now.getTime() / 1000) + JWT_TTL_SECONDS,
+      sub: subject,
+    })
+  );
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${claims}`), {
+    key: vapidPrivateKey(publicKey, privateKey),
+    dsaEncoding: "ieee-p1363",
+  });
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${publicKey}`;
+}
+
+// Claims of a valid VAPID Authorization header for an endpoint, null otherwise
+export function verifyVapidAuthorization(authorization, endpoint, now = new Date()) {
+  const match = String(authorization || "").match(/^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+),\s*k=([\w-]+)$/);
+  if (!match) return null;
+  const [, header, claims, signature, publicKey] = match;
+  let valid = false;
+  try {
+    valid = crypto.verify("sha256", Buffer.from(`${header}.${claims}`), {
+      key: vapidPublicKey(publicKey),
+      dsaEncoding: "ieee-p1363",
+    }, fromBase64Url(signature));
+  } catch (err) {
+    return null;
+  }
+  if (!valid) return null;
+  const payload = JSON.parse(fromBase64Url(claims).toString("utf8"));
+  if (payload.aud !== new URL(endpoint).origin || payload.exp * 1000 <= now.getTime()) return null;
+  return { ...payload, publicKey };
+}
+
+// Content encryption key and nonce shared by both sides (RFC 8291 section 3.4)
+function deriveKeys(sharedSecret, authSecret, userAgentPublicKey, serverPublicKey, salt) {
+  const keyInfo = Buffer.concat([Buffer.from("WebPush: info\0"), userAgentPublicKey, serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync("sha256", sharedSecret, authSecret, keyInfo, 32));
+  return {
+    key: Buffer.from(crypto.hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: aes128gcm\0"), 16)),
+    nonce: Buffer.from(crypto.hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12)),
+  };
+}
+
+// aes128gcm body for a subscription: header (salt, record size, sender key) + a single record.
+// The sender key pair and salt are fresh for every message; tests pass fixed ones.
+export function encryptPayload(subscription, payload, { ecdh = null, salt = crypto.randomBytes(16) } = {}) {
+  const userAgentPublicKey = fromBase64Url(subscription.keys.p256dh);
+  if (!ecdh) {
+    ecdh = crypto.createECDH(CURVE);
+    ecdh.generateKeys();
+  }
+  const serverPublicKey = ecdh.getPublicKey();
+  const { key, nonce } = deriveKeys(
+    ecdh.computeSecret(userAgentPublicKey),
+    fromBase64Url(subscription.keys.auth),
+    userAgentPublicKey,
+    serverPublicKey,
+    salt
+  );
+
+  const cipher = crypto.createCipheriv("aes-128-gcm", key, nonce);
+  // 0x02 marks the last (and only) record
+  const record = Buffer.concat([cipher.update(Buffer.from(payload)), cipher.update(Buffer.from([2])), cipher.final(), cipher.getAuthTag()]);
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+  return Buffer.concat([header, serverPublicKey, record]);
+}
+
+// Payload of an aes128gcm body, given the subscription's private ECDH key and auth secret
+export function decryptPayload(body, { ecdh, authSecret }) {
+  const salt = body.subarray(0, 16);
+  const keyLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + keyLength);
+  const record = body.subarray(21 + keyLength);
+  const { key, nonce } = deriveKeys(ecdh.computeSecret(serverPublicKey), authSecret, ecdh.getPublicKey(), serverPublicKey, salt);
+
+  const decipher = crypto.createDecipheriv("aes-128-gcm", key, nonce);
+  decipher.setAuthTag(record.subarray(record.length - 16));
+  const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+  // Strip the padding: trailing zeros, then the delimiter
+  let end = padded.length - 1;
+  while (end > 0 && padded[end] === 0) end -= 1;
+  return padded.subarray(0, end).toString("utf8");
+}
+
+// POST an encrypted message to a subscription's push service.
+// Rejects with err.status set; err.gone means the subscription expired (404/410) and should be dropped.
+export async function sendPushMessage(subscription, payload, { vapid, ttl = 24 * 60 * 60, fetchImpl = globalThis.fetch }) {
+  const res = await fetchImpl(subscription.endpoint, {
+    method: "POST",
+    headers: {
+      Authorization: buildVapidAuthorization(subscription.endpoint, vapid),
+      "Content-Encoding": "aes128gcm",
+      "Content-Type": "application/octet-stream",
+      TTL: String(ttl),
+      Urgency: "normal",
+    },
+    body: encryptPayload(subscription, payload),
+    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const err = new Error(`Push service answered HTTP ${res.status}`);
+    err.status = res.status;
+    err.gone = res.status === 404 || res.status === 410;
+    throw err;
+  }
+  return { id: res.headers.get("location") || null };
+}
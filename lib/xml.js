@@ -0,0 +1,11 @@
+// Escaping shared by the XML formats: XSPF playlists (lib/playlist-export.js) and the Atom feed
+// (lib/feeds.js).
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
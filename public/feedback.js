@@ -0,0 +1,172 @@
+// Reactions and comment threads under each track of the calendar modal.
+// loadDayFeedback(day) fetches everything for a day once; createTrackFeedback(url, feedback)
+// returns the block for one track and fills it when that request resolves.
+
+let nickname = null;
+
+async function send(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 429) throw new Error('Doucement, réessaie dans une minute');
+  if (!res.ok) throw new Error(data.error || 'Erreur, réessaie');
+  return data;
+}
+
+export async function loadDayFeedback(day, apiQuery = '') {
+  const res = await fetch(`/api/calendar/${day}/feedback${apiQuery}`);
+  if (!res.ok) return null;
+  const data = await res.json();
+  nickname = data.nickname;
+  return data;
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleString('fr-FR', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+function renderReactions(container, url, emojis, summary) {
+  container.innerHTML = '';
+  emojis.forEach((emoji) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'reaction';
+    button.classList.toggle('mine', summary.mine.includes(emoji));
+    button.setAttribute('aria-pressed', String(summary.mine.includes(emoji)));
+    button.textContent = summary.counts[emoji] ? `${emoji} ${summary.counts[emoji]}` : emoji;
+    button.addEventListener('click', async () => {
+      try {
+        const updated = await send('POST', '/api/tracks/reactions', { url, emoji });
+        renderReactions(container, url, emojis, updated);
+      } catch (err) {
+        button.title = err.message;
+      }
+    });
+    container.appendChild(button);
+  });
+}
+
+// Comment form: asks for a nickname the first time, replies when parentId is set
+function createCommentForm(url, parentId, onPosted) {
+  const form = document.createElement('form');
+  form.className = 'comment-form';
+
+  const nicknameInput = document.createElement('input');
+  nicknameInput.type = 'text';
+  nicknameInput.maxLength = 30;
+  nicknameInput.placeholder = 'pseudo';
+  nicknameInput.value = nickname || '';
+  nicknameInput.required = true;
+
+  const textInput = document.createElement('textarea');
+  textInput.maxLength = 500;
+  textInput.placeholder = parentId ? 'répondre…' : 'polémiquer…';
+  textInput.required = true;
+
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.textContent = 'Envoyer';
+
+  const error = document.createElement('p');
+  error.className = 'comment-error';
+
+  form.append(nicknameInput, textInput, submit, error);
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    error.textContent = '';
+    try {
+      if (nicknameInput.value.trim() !== nickname) {
+        nickname = (await send('PUT', '/api/nickname', { nickname: nicknameInput.value })).nickname;
+      }
+      const { comment } = await send('POST', '/api/tracks/comments', { url, text: textInput.value, parentId });
+      textInput.value = '';
+      onPosted(comment);
+    } catch (err) {
+      error.textContent = err.message;
+    }
+  });
+  return form;
+}
+
+function renderComment(comment, url) {
+  const li = document.createElement('li');
+  li.className = 'comment';
+
+  const meta = document.createElement('div');
+  meta.className = 'comment-meta';
+  meta.textContent = comment.removed ? 'commentaire supprimé' : `${comment.nickname} · ${formatTime(comment.createdAt)}`;
+  li.appendChild(meta);
+
+  if (!comment.removed) {
+    const text = document.createElement('p');
+    text.className = 'comment-text';
+    text.textContent = comment.text;
+    li.appendChild(text);
+  }
+
+  const replies = document.createElement('ul');
+  replies.className = 'comment-replies';
+  comment.replies.forEach((reply) => replies.appendChild(renderComment(reply, url)));
+
+  const actions = document.createElement('div');
+  actions.className = 'comment-actions';
+  const replyButton = document.createElement('button');
+  replyButton.type = 'button';
+  replyButton.textContent = 'Répondre';
+  replyButton.addEventListener('click', () => {
+    replyButton.hidden = true;
+    const form = createCommentForm(url, comment.id, (reply) => {
+      replies.appendChild(renderComment(reply, url));
+      form.remove();
+      replyButton.hidden = false;
+    });
+    actions.after(form);
+  });
+  actions.appendChild(replyButton);
+
+  if (comment.mine && !comment.removed) {
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.textContent = 'Supprimer';
+    deleteButton.addEventListener('click', async () => {
+      if (!confirm('Supprimer ton commentaire ?')) return;
+      try {
+        await send('DELETE', `/api/tracks/comments/${encodeURIComponent(comment.id)}`);
+        meta.textContent = 'commentaire supprimé';
+        li.querySelector('.comment-text')?.remove();
+        deleteButton.remove();
+      } catch (err) {
+        meta.textContent = err.message;
+      }
+    });
+    actions.appendChild(deleteButton);
+  }
+
+  li.append(actions, replies);
+  return li;
+}
+
+export function createTrackFeedback(url, feedback) {
+  const block = document.createElement('div');
+  block.className = 'track-feedback';
+
+  feedback.then((data) => {
+    const track = data && data.tracks[url];
+    if (!track) return;
+
+    const reactions = document.createElement('div');
+    reactions.className = 'reactions';
+    renderReactions(reactions, url, data.reactions, track.reactions);
+
+    const thread = document.createElement('ul');
+    thread.className = 'comment-thread';
+    track.comments.forEach((comment) => thread.appendChild(renderComment(comment, url)));
+
+    const form = createCommentForm(url, null, (comment) => thread.appendChild(renderComment(comment, url)));
+    block.append(reactions, thread, form);
+  });
+  return block;
+}
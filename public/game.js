@@ -0,0 +1,199 @@
+// Guessing game page: join with a name, guess who proposed each song of the day, see
+// yesterday's answers and the season leaderboard. The player token is kept in localStorage.
+
+const TOKEN_KEY = 'gamePlayerToken';
+
+// ?simulateDate=YYYY-MM-DD is forwarded to the API (honoured by the server in development only)
+const simulateDate = new URLSearchParams(window.location.search).get('simulateDate');
+const apiQuery = simulateDate ? `?simulateDate=${encodeURIComponent(simulateDate)}` : '';
+
+const status = document.getElementById('gameStatus');
+const titles = new Map();
+let token = localStorage.getItem(TOKEN_KEY) || '';
+let currentDay = null;
+
+async function api(method, url, body) {
+  const headers = { 'Accept': 'application/json' };
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+  if (body) headers['Content-Type'] = 'application/json';
+  const res = await fetch(`${url}${apiQuery}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const error = new Error(data.error || 'Erreur, réessaie');
+    error.status = res.status;
+    throw error;
+  }
+  return data;
+}
+
+function trackLabel(url) {
+  return titles.get(url) || url;
+}
+
+function trackLink(url) {
+  const a = document.createElement('a');
+  a.href = url;
+  a.target = '_blank';
+  a.rel = 'noopener noreferrer';
+  a.textContent = trackLabel(url);
+  return a;
+}
+
+// Titles from /api/calendar, when the server has fetched them
+async function loadTitles() {
+  const res = await fetch(`/api/calendar${apiQuery}`);
+  if (!res.ok) return;
+  const calendar = await res.json();
+  Object.values(calendar).flat().forEach((item) => {
+    if (item.title) titles.set(item.url, item.artist ? `${item.artist} – ${item.title}` : item.title);
+  });
+}
+
+async function loadPlayer() {
+  const joinForm = document.getElementById('joinForm');
+  const playerState = document.getElementById('playerState');
+  if (token) {
+    try {
+      const { player } = await api('GET', '/api/game/me');
+      playerState.textContent = `Tu joues en tant que ${player.name}.`;
+      playerState.hidden = false;
+      joinForm.hidden = true;
+      return player;
+    } catch (err) {
+      if (err.status !== 401) throw err;
+      token = '';
+      localStorage.removeItem(TOKEN_KEY);
+    }
+  }
+  joinForm.hidden = false;
+  playerState.hidden = true;
+  return null;
+}
+
+function renderToday(day, player) {
+  const section = document.getElementById('today');
+  const list = document.getElementById('guessList');
+  list.innerHTML = '';
+  currentDay = day.day;
+  document.getElementById('todayTitle').textContent = `Jour ${day.day}`;
+  document.getElementById('todayDeadline').textContent = `Réponses jusqu'au ${new Date(day.closesAt).toLocaleString('fr-FR')}`;
+
+  day.tracks.forEach((track) => {
+    const li = document.createElement('li');
+    li.appendChild(trackLink(track.url));
+    if (track.guessable) {
+      const select = document.createElement('select');
+      select.dataset.url = track.url;
+      select.disabled = !player;
+      select.appendChild(new Option("c'est qui ?", ''));
+      day.candidates.forEach((name) => select.appendChild(new Option(name, name, false, name === track.guess)));
+      li.appendChild(select);
+    } else {
+      const hint = document.createElement('span');
+      hint.className = 'hint';
+      hint.textContent = ' (pas à deviner)';
+      li.appendChild(hint);
+    }
+    list.appendChild(li);
+  });
+  document.querySelector('#guessForm button').disabled = !player;
+  section.hidden = false;
+}
+
+function renderResults(day) {
+  const list = document.getElementById('resultsList');
+  list.innerHTML = '';
+  const score = day.points === null ? '' : ` : ${day.points}/${day.total}`;
+  document.getElementById('resultsTitle').textContent = `Réponses du jour ${day.day}${score}`;
+  day.tracks.forEach((track) => {
+    const li = document.createElement('li');
+    li.appendChild(trackLink(track.url));
+    const answer = document.createElement('span');
+    const guess = track.guess ? ` (tu avais dit ${track.guess})` : '';
+    answer.textContent = ` proposé par ${track.answer || 'un·e anonyme'}${track.correct ? ' ✅' : guess}`;
+    li.appendChild(answer);
+    list.appendChild(li);
+  });
+  document.getElementById('results').hidden = false;
+}
+
+async function loadLeaderboard() {
+  const { players, revealedDays } = await api('GET', '/api/game/leaderboard');
+  const rows = document.getElementById('leaderboardRows');
+  rows.innerHTML = '';
+  players.forEach((row) => {
+    const tr = document.createElement('tr');
+    [row.rank, row.name, row.points, row.guessed].forEach((value) => {
+      const td = document.createElement('td');
+      td.textContent = String(value);
+      tr.appendChild(td);
+    });
+    rows.appendChild(tr);
+  });
+  document.getElementById('leaderboardEmpty').hidden = revealedDays > 0;
+}
+
+async function loadDays(player) {
+  const campaign = await (await fetch(`/api/campaign${apiQuery}`)).json();
+  // Today's day while the campaign runs; the previous one (or the last one afterwards) is revealed
+  const today = campaign.status === 'running' ? campaign.today : null;
+  const revealedDay = campaign.status === 'after' ? campaign.days : today ? today - 1 : 0;
+  if (today) {
+    renderToday(await api('GET', `/api/game/days/${today}`), player);
+  }
+  if (revealedDay >= 1) {
+    renderResults(await api('GET', `/api/game/days/${revealedDay}`));
+  }
+  if (!today && revealedDay < 1) {
+    status.textContent = 'Le jeu commence avec le calendrier.';
+  }
+}
+
+async function load() {
+  try {
+    await loadTitles();
+    const player = await loadPlayer();
+    await loadDays(player);
+    await loadLeaderboard();
+  } catch (err) {
+    status.textContent = err.status === 404 ? "Le jeu n'est pas activé." : err.message;
+  }
+}
+
+document.getElementById('joinForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const data = await api('POST', '/api/game/players', {
+      name: document.getElementById('playerName').value,
+      editLink: document.getElementById('editLink').value
+    });
+    token = data.token;
+    localStorage.setItem(TOKEN_KEY, token);
+    status.textContent = '';
+    load();
+  } catch (err) {
+    if (err.status === 409) {
+      status.textContent = "Quelqu'un joue déjà sous ce nom";
+    } else if (err.status === 403) {
+      status.textContent = 'Ce nom a proposé des sons : colle le lien de modification reçu après ta proposition';
+    } else {
+      status.textContent = err.message;
+    }
+  }
+});
+
+document.getElementById('guessForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const guesses = {};
+  document.querySelectorAll('#guessList select').forEach((select) => {
+    guesses[select.dataset.url] = select.value;
+  });
+  try {
+    await api('PUT', `/api/game/days/${currentDay}/guesses`, { guesses });
+    status.textContent = 'Réponses enregistrées, verdict demain !';
+  } catch (err) {
+    status.textContent = err.message;
+  }
+});
+
+load();
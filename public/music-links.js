@@ -0,0 +1,227 @@
+// Music link parsing shared by the browser (calendar.html, index.html) and the server.
+// Plain ES module with no dependencies: served as /music-links.js and imported by server.js.
+//
+// parseMusicLink(input) recognizes YouTube, Spotify, Deezer, SoundCloud and Bandcamp URLs and
+// returns { platform, kind, id, canonicalUrl, embedUrl }, or null when the link isn't supported.
+// The canonical URL drops tracking parameters and host/path variants, so youtu.be/ID,
+// m.youtube.com/watch?v=ID&si=... and youtube.com/shorts/ID all become the same string.
+
+const YOUTUBE_ID = /^[\w-]{11}$/;
+const YOUTUBE_LIST = /^[\w-]{10,}$/;
+const SPOTIFY_KINDS = ["track", "album", "playlist", "artist", "episode", "show"];
+const SOUNDCLOUD_RESERVED = ["discover", "search", "stream", "upload", "you", "charts", "people", "pages", "settings", "messages"];
+
+// Short links we can't resolve without a network round-trip
+const SHORT_LINK_HOSTS = ["deezer.page.link", "link.deezer.com", "on.soundcloud.com", "spotify.link"];
+
+function toUrl(input) {
+  let value = String(input || "").trim();
+  if (!value) return null;
+  // Spotify URIs (spotify:track:ID) as copied from the desktop app
+  const uri = value.match(/^spotify:([a-z]+):([A-Za-z0-9]+)$/);
+  if (uri) value = `https://open.spotify.com/${uri[1]}/${uri[2]}`;
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) value = `https://${value}`;
+  try {
+    const url = new URL(value);
+    if (url.protocol !== "https:" && url.protocol !== "http:") return null;
+    // pathSegments decodes the path: a malformed escape (youtu.be/%zz) makes it an invalid link
+    decodeURIComponent(url.pathname);
+    return url;
+  } catch (e) {
+    return null;
+  }
+}
+
+function hostMatches(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+function pathSegments(url) {
+  return url.pathname.split("/").filter(Boolean).map((segment) => decodeURIComponent(segment));
+}
+
+function parseYouTube(url) {
+  const hostname = url.hostname.toLowerCase();
+  const segments = pathSegments(url);
+  let id = null;
+
+  if (hostname === "youtu.be") {
+    id = segments[0];
+  } else if (hostMatches(hostname, "youtube.com") || hostname === "youtube-nocookie.com" || hostname === "www.youtube-nocookie.com") {
+    if (segments[0] === "watch") {
+      id = url.searchParams.get("v");
+    } else if (["shorts", "embed", "live", "v"].includes(segments[0])) {
+      id = segments[1];
+    } else if (segments[0] === "playlist") {
+      const list = url.searchParams.get("list");
+      if (list && YOUTUBE_LIST.test(list)) {
+        return {
+          platform: "youtube",
+          kind: "playlist",
+          id: list,
+          canonicalUrl: `https://www.youtube.com/playlist?list=${list}`,
+          embedUrl: `https://www.youtube.com/embed/videoseries?list=${list}`,
+        };
+      }
+    }
+  } else {
+    return undefined;
+  }
+
+  if (!id || !YOUTUBE_ID.test(id)) return null;
+  return {
+    platform: "youtube",
+    kind: "video",
+    id,
+    canonicalUrl: `https://www.youtube.com/watch?v=${id}`,
+    embedUrl: `https://www.youtube.com/embed/${id}`,
+  };
+}
+
+function parseSpotify(url) {
+  if (!hostMatches(url.hostname.toLowerCase(), "spotify.com")) return undefined;
+  const segments = pathSegments(url);
+  // Skip locale prefixes such as /intl-fr/
+  const typeIndex = segments.findIndex((segment) => SPOTIFY_KINDS.includes(segment.toLowerCase()));
+  if (typeIndex === -1 || !segments[typeIndex + 1]) return null;
+  const kind = segments[typeIndex].toLowerCase();
+  const id = segments[typeIndex + 1];
+  if (!/^[A-Za-z0-9]{10,}$/.test(id)) return null;
+  return {
+    platform: "spotify",
+    kind,
+    id,
+    canonicalUrl: `https://open.spotify.com/${kind}/${id}`,
+    embedUrl: `https://open.spotify.com/embed/${kind}/${id}?utm_source=generator`,
+  };
+}
+
+function parseDeezer(url) {
+  if (!hostMatches(url.hostname.toLowerCase(), "deezer.com")) return undefined;
+  const match = url.pathname.match(/\/(track|album|playlist)\/(\d+)/);
+  if (!match) return null;
+  const [, kind, id] = match;
+  return {
+    platform: "deezer",
+    kind,
+    id,
+    canonicalUrl: `https://www.deezer.com/${kind}/${id}`,
+    embedUrl: `https://widget.deezer.com/widget/dark/${kind}/${id}`,
+  };
+}
+
+function parseSoundCloud(url) {
+  const hostname = url.hostname.toLowerCase();
+  if (hostname !== "soundcloud.com" && hostname !== "www.soundcloud.com" && hostname !== "m.soundcloud.com") return undefined;
+  const segments = pathSegments(url).map((segment) => segment.toLowerCase());
+  const [user, second, third] = segments;
+  if (!user || !second || SOUNDCLOUD_RESERVED.includes(user)) return null;
+
+  let kind = "track";
+  let path = `${user}/${second}`;
+  if (second === "sets") {
+    if (!third) return null;
+    kind = "playlist";
+    path = `${user}/sets/${third}`;
+  } else if (["tracks", "albums", "sets", "reposts", "likes", "followers", "following"].includes(second)) {
+    // Profile tabs, not a single track
+    return null;
+  }
+
+  const canonicalUrl = `https://soundcloud.com/${path}`;
+  return {
+    platform: "soundcloud",
+    kind,
+    id: path,
+    canonicalUrl,
+    embedUrl: `https://w.soundcloud.com/player/?url=${encodeURIComponent(canonicalUrl)}&color=%23ff5500&auto_play=false&hide_related=false&show_comments=true&show_user=true&show_reposts=false&show_teaser=true&visual=true`,
+  };
+}
+
+function parseBandcamp(url) {
+  const hostname = url.hostname.toLowerCase();
+  if (!hostname.endsWith(".bandcamp.com")) return undefined;
+  const segments = pathSegments(url);
+  if (segments.length < 2 || !["track", "album"].includes(segments[0])) return null;
+  const kind = segments[0];
+  const slug = segments[1].toLowerCase();
+  const canonicalUrl = `https://${hostname.replace(/^www\./, "")}/${kind}/${slug}`;
+  return {
+    platform: "bandcamp",
+    kind,
+    id: `${hostname.split(".")[0]}/${kind}/${slug}`,
+    canonicalUrl,
+    embedUrl: canonicalUrl,
+  };
+}
+
+const PARSERS = [parseYouTube, parseSpotify, parseDeezer, parseSoundCloud, parseBandcamp];
+
+export function parseMusicLink(input) {
+  const url = toUrl(input);
+  if (!url) return null;
+  for (const parser of PARSERS) {
+    const result = parser(url);
+    if (result !== undefined) return result;
+  }
+  return null;
+}
+
+// Validate one user-provided line.
+// Returns { ok: true, url, platform } with the canonical URL, or { ok: false, error, message }
+// where error is a stable code and message is shown to the submitter.
+export function normalizeMusicLink(input) {
+  const url = toUrl(input);
+  if (!url) {
+    return { ok: false, error: "invalid_url", message: "Ce n'est pas un lien valide" };
+  }
+  if (SHORT_LINK_HOSTS.includes(url.hostname.toLowerCase())) {
+    return { ok: false, error: "short_link", message: "Lien court non supporté : ouvre-le et copie le lien complet" };
+  }
+  const parsed = parseMusicLink(url.href);
+  if (!parsed) {
+    const known = PARSERS.some((parser) => parser(url) !== undefined);
+    return known
+      ? { ok: false, error: "unrecognized_link", message: "Lien reconnu mais ce n'est pas un morceau, un album ou une playlist" }
+      : { ok: false, error: "unsupported_platform", message: "Plateforme non supportée (YouTube, Spotify, Deezer, SoundCloud ou Bandcamp)" };
+  }
+  return { ok: true, url: parsed.canonicalUrl, platform: parsed.platform };
+}
+
+export const NOTE_MAX_LENGTH = 280;
+
+// A submitted line is a link optionally followed by a note on why it was picked:
+//   "https://youtu.be/ID - la meilleure intro de l'année" -> { link, note }
+// The note is null when missing and cut to NOTE_MAX_LENGTH characters.
+export function splitLinkNote(line) {
+  const [link = "", ...rest] = String(line || "").trim().split(/\s+/);
+  const note = rest.join(" ").replace(/^[-–—:|]+\s*/, "").slice(0, NOTE_MAX_LENGTH).trim();
+  return { link, note: note || null };
+}
+
+// Inverse of splitLinkNote, to put a stored link back in a form
+export function joinLinkNote(url, note) {
+  return note ? `${url} - ${note}` : url;
+}
+
+export function getPlatform(input) {
+  const parsed = parseMusicLink(input);
+  if (parsed) return parsed.platform;
+  const url = toUrl(input);
+  return url ? url.hostname.toLowerCase() : "other";
+}
+
+// Embed description for the calendar modal: { type, embedUrl, originalUrl } or null
+export function getEmbedInfo(input) {
+  const parsed = parseMusicLink(input);
+  if (!parsed) return null;
+  return { type: parsed.platform, embedUrl: parsed.embedUrl, originalUrl: input };
+}
+
+// Identity of the underlying track/album/playlist, equal for every URL variant of it.
+// Unparseable links fall back to their trimmed text so they still compare sensibly.
+export function getTrackKey(input) {
+  const parsed = parseMusicLink(input);
+  if (parsed) return `${parsed.platform}:${parsed.kind}:${parsed.id}`;
+  return String(input || "").trim();
+}
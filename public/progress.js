@@ -0,0 +1,59 @@
+// Viewed days synced with the server (/api/progress) and device pairing on the calendar page.
+// localStorage stays the source for rendering; the server copy is merged into it.
+
+async function send(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 429) throw new Error('Doucement, réessaie dans une minute');
+  if (!res.ok) throw new Error(data.error || 'Erreur, réessaie');
+  return data;
+}
+
+// Sends the days opened here, answers every day opened on any paired device
+export async function syncViewedDays(days, apiQuery = '') {
+  const data = await send('PUT', `/api/progress${apiQuery}`, { days: days.map(Number) });
+  return data.days;
+}
+
+// { day: number of friends who opened it } for the unlocked days
+export async function loadOpenedCounts(apiQuery = '') {
+  const res = await fetch(`/api/progress/stats${apiQuery}`);
+  if (!res.ok) return {};
+  return (await res.json()).openedBy;
+}
+
+// "Synchroniser mes appareils" section: show a code here, or type the one shown elsewhere.
+// onPaired(days) gets the merged days once this device joined another one.
+export function initPairing(onPaired) {
+  const showButton = document.getElementById('pairingShowCode');
+  const codeEl = document.getElementById('pairingCode');
+  const form = document.getElementById('pairingForm');
+  const status = document.getElementById('pairingStatus');
+  if (!showButton || !form) return;
+
+  showButton.addEventListener('click', async () => {
+    try {
+      const { code, expiresAt } = await send('POST', '/api/progress/pairing-code');
+      codeEl.textContent = `${code.slice(0, 3)}-${code.slice(3)}`;
+      const until = new Date(expiresAt).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+      status.textContent = `Tape ce code sur ton autre appareil avant ${until}.`;
+    } catch (err) {
+      status.textContent = err.message;
+    }
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      const { days, devices } = await send('POST', '/api/progress/pair', { code: document.getElementById('pairingInput').value });
+      status.textContent = `C'est relié ! ${devices} appareils partagent maintenant tes jours ouverts.`;
+      onPaired(days);
+    } catch (err) {
+      status.textContent = err.message;
+    }
+  });
+}
@@ -0,0 +1,83 @@
+// Installable app and push notifications on the calendar page: registers the service worker
+// (/sw.js) and lets people get the daily message as a notification instead of an SMS.
+// The section stays hidden when the browser or the server (no VAPID keys) can't do push.
+
+const section = document.getElementById('pushSection');
+const toggle = document.getElementById('pushToggle');
+const status = document.getElementById('pushStatus');
+
+async function send(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 429) throw new Error('Doucement, réessaie dans une minute');
+  if (!res.ok) throw new Error(data.error || 'Erreur, réessaie');
+  return data;
+}
+
+// applicationServerKey wants the raw key bytes, the server gives base64url
+function decodeKey(base64url) {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(raw, (c) => c.charCodeAt(0));
+}
+
+function showState(subscribed) {
+  toggle.textContent = subscribed ? '🔕 Ne plus me prévenir' : '🔔 Me prévenir chaque jour';
+  toggle.dataset.subscribed = String(subscribed);
+}
+
+async function subscribe(registration, publicKey) {
+  if (await Notification.requestPermission() !== 'granted') {
+    throw new Error('Notifications refusées, autorise-les dans les réglages du navigateur');
+  }
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: decodeKey(publicKey)
+  });
+  await send('POST', '/api/push/subscriptions', subscription.toJSON());
+}
+
+async function unsubscribe(registration) {
+  const subscription = await registration.pushManager.getSubscription();
+  if (!subscription) return;
+  await send('DELETE', '/api/push/subscriptions', { endpoint: subscription.endpoint });
+  await subscription.unsubscribe();
+}
+
+async function init() {
+  if (!('serviceWorker' in navigator)) return;
+  await navigator.serviceWorker.register('/sw.js');
+  if (!section || !('PushManager' in window) || !('Notification' in window)) return;
+
+  const res = await fetch('/api/push/public-key');
+  if (!res.ok) return;
+  const { publicKey } = await res.json();
+  const ready = await navigator.serviceWorker.ready;
+  section.hidden = false;
+  showState(Boolean(await ready.pushManager.getSubscription()));
+
+  toggle.addEventListener('click', async () => {
+    toggle.disabled = true;
+    try {
+      if (toggle.dataset.subscribed === 'true') {
+        await unsubscribe(ready);
+        showState(false);
+        status.textContent = 'Plus de notifications.';
+      } else {
+        await subscribe(ready, publicKey);
+        showState(true);
+        status.textContent = 'C\'est noté, une notification à chaque nouvelle case !';
+      }
+    } catch (err) {
+      status.textContent = err.message;
+    } finally {
+      toggle.disabled = false;
+    }
+  });
+}
+
+init().catch((err) => console.error('Service worker:', err));
@@ -0,0 +1,51 @@
+// SMS subscription form on the calendar page: ask for a number, then confirm the code sent to it.
+
+const subscribeForm = document.getElementById('subscribeForm');
+const confirmForm = document.getElementById('confirmForm');
+const status = document.getElementById('subscribeStatus');
+
+const ERROR_MESSAGES = {
+  400: 'Numéro ou code invalide',
+  409: 'Ce numéro est déjà inscrit',
+  429: 'Doucement, réessaie un peu plus tard',
+  503: 'Les SMS ne sont pas disponibles pour le moment'
+};
+
+let phone = '';
+
+async function post(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(ERROR_MESSAGES[res.status] || data.error || 'Erreur, réessaie');
+  return data;
+}
+
+subscribeForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  phone = document.getElementById('subscribePhone').value;
+  status.textContent = '…';
+  try {
+    await post('/api/subscribe', { phone });
+    subscribeForm.hidden = true;
+    confirmForm.hidden = false;
+    document.getElementById('confirmCode').focus();
+    status.textContent = 'Un code vient de partir par SMS, il est valable 10 minutes.';
+  } catch (err) {
+    status.textContent = err.message;
+  }
+});
+
+confirmForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    await post('/api/subscribe/confirm', { phone, code: document.getElementById('confirmCode').value });
+    confirmForm.hidden = true;
+    status.textContent = "C'est bon, tu recevras les sons chaque jour ! Réponds STOP pour te désinscrire.";
+  } catch (err) {
+    status.textContent = err.message;
+  }
+});
@@ -0,0 +1,114 @@
+// Service worker of the calendar page: works offline and shows push notifications.
+// - The page shell (HTML, CSS, scripts, images) is served from the cache and refreshed in the background
+// - /api/calendar and /api/campaign go to the network first and fall back to the last answer,
+//   so the days already unlocked stay readable offline (locked ones are never in it)
+// - Pushes carry { title, body, url } (see lib/notifiers/push.js); a click opens url
+
+const CACHE = 'tonpere-v2';
+const SHELL = [
+  '/',
+  '/style.css',
+  '/calendar.css',
+  '/sounds.js',
+  '/music-links.js',
+  '/feedback.js',
+  '/progress.js',
+  '/subscribe.js',
+  '/push.js',
+  '/favicon.png',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/assets/leop.png',
+  '/assets/pause.png'
+];
+const OFFLINE_APIS = ['/api/calendar', '/api/campaign'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = (await cache.match(request)) || (fallbackUrl && (await cache.match(fallbackUrl)));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(event.request);
+  const refresh = fetch(event.request).then((response) => {
+    if (response.ok) cache.put(event.request, response.clone());
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (event.request.mode === 'navigate') {
+    // The calendar and its /jour/:day pages; offline, any of them falls back to the calendar
+    if (url.pathname === '/' || url.pathname.startsWith('/jour/')) {
+      event.respondWith(networkFirst(event.request, '/'));
+    }
+    return;
+  }
+  if (OFFLINE_APIS.includes(url.pathname)) {
+    event.respondWith(networkFirst(event.request));
+    return;
+  }
+  if (SHELL.includes(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (err) {
+    data = { body: event.data.text() };
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || "Ton père de l'avent", {
+      body: data.body || '',
+      icon: '/icons/icon-192.png',
+      tag: 'daily',
+      data: { url: data.url || '/' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  // The url comes from this server (PUBLIC_URL), opened on whatever origin the app is installed from
+  const target = new URL(event.notification.data.url, self.location.origin);
+  const path = target.pathname + target.search;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((client) => new URL(client.url).origin === self.location.origin);
+      if (existing) return existing.navigate(path).then((client) => (client || existing).focus());
+      return self.clients.openWindow(path);
+    })
+  );
+});
@@ -0,0 +1,48 @@
+// Thank-you page: show what the server reported about the submission that was just sent.
+// ?duplicates=N comes from the redirect; the details are left in sessionStorage by index.html.
+// #id=...&token=... is the private edit link for the submission.
+
+(function () {
+  const hash = new URLSearchParams(window.location.hash.slice(1));
+  if (!hash.get('id') || !hash.get('token')) return;
+
+  const editUrl = `${window.location.origin}/edit.html${window.location.hash}`;
+  const link = document.getElementById('editUrl');
+  link.href = editUrl;
+  link.textContent = editUrl;
+  document.getElementById('editLink').hidden = false;
+
+  fetch('/api/campaign')
+    .then((res) => res.json())
+    .then((campaign) => {
+      if (campaign.submissionDeadline) {
+        document.getElementById('editDeadline').textContent = new Date(campaign.submissionDeadline).toLocaleString('fr-FR');
+      }
+    })
+    .catch(() => {});
+})();
+
+(function () {
+  const params = new URLSearchParams(window.location.search);
+  const duplicates = parseInt(params.get('duplicates'), 10);
+  if (!duplicates) return;
+
+  let warnings = [];
+  try {
+    warnings = JSON.parse(sessionStorage.getItem('submitWarnings')) || [];
+  } catch (_) { warnings = []; }
+  sessionStorage.removeItem('submitWarnings');
+
+  document.getElementById('duplicatesSummary').textContent = duplicates === 1
+    ? '1 lien était déjà dans le calendrier :'
+    : `${duplicates} liens étaient déjà dans le calendrier :`;
+
+  const list = document.getElementById('duplicatesList');
+  warnings.forEach((warning) => {
+    const li = document.createElement('li');
+    li.textContent = `${warning.input} - ${warning.message}`;
+    list.appendChild(li);
+  });
+
+  document.getElementById('duplicates').hidden = false;
+})();
@@ -0,0 +1,58 @@
+// Node script printing the delivery report of the daily message
+// Usage: node scripts/delivery-report.js [--date=YYYY-MM-DD] [--json]
+// - Defaults to today in the campaign timezone (SIMULATE_DATE is honoured like in the server)
+// - Exits with status 1 when some deliveries failed, so it can be used from cron/monitoring
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { createStorage } from "../lib/storage/index.js";
+import { loadCampaignConfig, getDateInTimezone, createClock } from "../lib/campaign.js";
+import { buildDeliveryReport } from "../lib/deliveries.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, "..", "data");
+
+function getDate(campaign) {
+  const cliArg = process.argv.find((a) => a.startsWith("--date="));
+  if (cliArg) return cliArg.split("=")[1];
+  return getDateInTimezone(campaign.timezone, createClock(campaign, process.env.SIMULATE_DATE).now());
+}
+
+function main() {
+  const campaign = loadCampaignConfig();
+  const date = getDate(campaign);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new Error(`Invalid date "${date}" (expected YYYY-MM-DD)`);
+  }
+
+  const storage = createStorage({ dataDir });
+  const report = buildDeliveryReport(storage.read("delivery-log", {}), date);
+
+  if (process.argv.includes("--json")) {
+    // eslint-disable-next-line no-console
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    // eslint-disable-next-line no-console
+    console.log(`Deliveries for ${date}: ${report.sent}/${report.total} sent, ${report.failed} failed (${report.retrying} will be retried)`);
+    for (const d of report.deliveries) {
+      const detail = d.status === "sent" ? d.providerId || "" : `${d.error}${d.nextAttemptAt ? `, next try ${d.nextAttemptAt}` : ""}`;
+      // eslint-disable-next-line no-console
+      console.log(`  ${d.status.padEnd(6)} ${d.channel.padEnd(7)} ${d.name} (${d.attempts} attempt${d.attempts > 1 ? "s" : ""}) ${detail}`);
+    }
+  }
+
+  storage.close();
+  if (report.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  // eslint-disable-next-line no-console
+  console.error(err.message);
+  process.exit(1);
+}
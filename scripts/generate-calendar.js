@@ -1,62 +1,51 @@
 // Node script to generate data/calendar.json from data/submissions.json
 // Requirements:
-// - Each day (1..24) gets exactly 3 links
+// - Each day (1..N, N = campaign days from config/campaign.json) gets exactly 3 links
 // - Links must be from 3 different submitters (1 link per person per day)
 // - Distribute fairly across submitters; randomize order deterministically per run
+// - Each track appears at most once (URL variants of a track count as the same track),
+//   and differently written names of one person ("Ada", "ada ") count as one submitter
+// The scheduling itself lives in lib/calendar-generator.js.
+//
+// Options (CLI flag or environment variable):
+// --days=N              DAYS=N               number of days (default: campaign days)
+// --seed=abc            SEED=abc             same seed + same submissions = byte-identical calendar
+// --distinct-platforms  DISTINCT_PLATFORMS   never two links from the same platform on one day
+// --no-consecutive      NO_CONSECUTIVE       never the same submitter on two consecutive days
+// --placeholders        PLACEHOLDERS         fill the calendar with fake links
+// --incremental         INCREMENTAL          keep every day up to today exactly as published and only
+//                                            redistribute the remaining links over future days
+// --dry-run             DRY_RUN              print the diff against the current calendar, write nothing
+// --no-metadata         METADATA_FETCH=off   don't fetch titles/thumbnails for the new links (see lib/metadata.js)
 
-import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
+import { createStorage } from "../lib/storage/index.js";
+import { loadCampaignConfig, getCampaignState, createClock } from "../lib/campaign.js";
+import {
+  LINKS_PER_DAY,
+  createRng,
+  generateCalendar,
+  diffCalendars,
+  assertPublishedDaysUnchanged,
+} from "../lib/calendar-generator.js";
+import { createMetadataService, metadataEndpointsFromEnv } from "../lib/metadata.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const dataDir = path.join(__dirname, "..", "data");
-const submissionsPath = path.join(dataDir, "submissions.json");
-const calendarPath = path.join(dataDir, "calendar.json");
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, "..", "data");
 
-function readJson(file) {
-  try {
-    const raw = fs.readFileSync(file, "utf-8");
-    return JSON.parse(raw);
-  } catch (e) {
-    return null;
-  }
-}
-
-function shuffle(array) {
-  // Fisher-Yates
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
-  }
-  return array;
+function getFlag(flag, envName) {
+  return process.argv.includes(flag) || String(process.env[envName] || "").toLowerCase() === "true";
 }
 
-function buildPools(submissions) {
-  // Build a map of submitter -> queue of links
-  const submitterToLinks = new Map();
-  for (const sub of submissions) {
-    const name = String(sub.name || "").trim();
-    if (!name) continue;
-    const videos = Array.isArray(sub.videos) ? sub.videos : [];
-    const cleaned = videos
-      .map((v) => String(v || "").trim())
-      .filter((v) => v.length > 0);
-    if (cleaned.length === 0) continue;
-    submitterToLinks.set(name, (submitterToLinks.get(name) || []).concat(cleaned));
-  }
-  // Shuffle each submitter's links for randomness
-  for (const [name, links] of submitterToLinks) {
-    submitterToLinks.set(name, shuffle(links.slice()));
-  }
-  return submitterToLinks;
-}
-
-function countTotalLinks(pool) {
-  let total = 0;
-  for (const links of pool.values()) total += links.length;
-  return total;
+function getSeed() {
+  const cliSeedArg = process.argv.find((a) => a.startsWith("--seed="));
+  if (cliSeedArg) return cliSeedArg.slice("--seed=".length);
+  if (process.env.SEED) return process.env.SEED;
+  return crypto.randomBytes(4).toString("hex");
 }
 
 function getRequiredDays() {
@@ -67,112 +56,37 @@ function getRequiredDays() {
     ? daysFromCli
     : Number.isFinite(daysEnv)
     ? daysEnv
-    : 24;
-}
-
-function generateCalendar(submissions) {
-  const pool = buildPools(submissions);
-  const submitters = Array.from(pool.keys());
-  if (submitters.length < 3) {
-    throw new Error("Need at least 3 submitters to fill each day with unique people");
-  }
-
-  const REQUIRED_DAYS = getRequiredDays();
-  const LINKS_PER_DAY = 3;
-  const REQUIRED_LINKS = REQUIRED_DAYS * LINKS_PER_DAY;
-
-  const totalLinks = countTotalLinks(pool);
-  if (totalLinks < REQUIRED_LINKS) {
-    throw new Error(`Not enough total links: have ${totalLinks}, need ${REQUIRED_LINKS}`);
-  }
-
-  // Track how many times each submitter has been used to balance distribution
-  const usedCount = new Map(submitters.map((s) => [s, 0]));
-
-  // Helper to get next submitter with available links, preferring lower usedCount
-  function getNextSubmitter(excluded) {
-    const candidates = submitters
-      .filter((s) => !excluded.has(s) && (pool.get(s) || []).length > 0)
-      .sort((a, b) => {
-        const ca = usedCount.get(a) || 0;
-        const cb = usedCount.get(b) || 0;
-        if (ca !== cb) return ca - cb;
-        // tie-breaker random
-        return Math.random() - 0.5;
-      });
-    return candidates[0] || null;
-  }
-
-  const calendar = {};
-  for (let day = 1; day <= REQUIRED_DAYS; day++) {
-    // Special case: last day should include all bangers from everyone
-    if (day === REQUIRED_DAYS) {
-      const allBangers = [];
-      for (const submission of submissions) {
-        const name = String(submission.name || "").trim();
-        const banger = String(submission.banger || "").trim();
-        if (name && banger && banger.length > 0) {
-          allBangers.push({ url: banger });
-        }
-      }
-      // If we have bangers, use them; otherwise fall back to regular calendar data
-      if (allBangers.length > 0) {
-        calendar[String(day)] = allBangers;
-      } else {
-        // Fall back to regular distribution for last day if no bangers
-        const dayAssignments = [];
-        const chosenSubmitters = new Set();
-        for (let i = 0; i < LINKS_PER_DAY; i++) {
-          const submitter = getNextSubmitter(chosenSubmitters);
-          if (!submitter) {
-            throw new Error(`Could not find enough distinct submitters for day ${day}`);
-          }
-          const links = pool.get(submitter);
-          const url = links.shift();
-          dayAssignments.push({ url });
-          usedCount.set(submitter, (usedCount.get(submitter) || 0) + 1);
-          chosenSubmitters.add(submitter);
-        }
-        calendar[String(day)] = dayAssignments;
-      }
-    } else {
-      // Regular days: distribute links normally
-      const dayAssignments = [];
-      const chosenSubmitters = new Set();
-      for (let i = 0; i < LINKS_PER_DAY; i++) {
-        const submitter = getNextSubmitter(chosenSubmitters);
-        if (!submitter) {
-          throw new Error(`Could not find enough distinct submitters for day ${day}`);
-        }
-        const links = pool.get(submitter);
-        const url = links.shift();
-        dayAssignments.push({ url });
-        usedCount.set(submitter, (usedCount.get(submitter) || 0) + 1);
-        chosenSubmitters.add(submitter);
-      }
-      calendar[String(day)] = dayAssignments;
-    }
-  }
-
-  return calendar;
+    : loadCampaignConfig().days;
 }
 
-function ensureDataDir() {
-  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
-}
-
-function main() {
-  ensureDataDir();
-  const submissions = readJson(submissionsPath);
+async function main() {
+  const storage = createStorage({ dataDir });
+  const submissions = storage.read("submissions", null);
   if (!Array.isArray(submissions)) {
     throw new Error("submissions.json missing or invalid (expected array)");
   }
 
-  const placeholderFlag = process.argv.includes("--placeholders") || String(process.env.PLACEHOLDERS || "").toLowerCase() === "true";
+  const placeholderFlag = getFlag("--placeholders", "PLACEHOLDERS");
+  const incremental = getFlag("--incremental", "INCREMENTAL");
+  const dryRun = getFlag("--dry-run", "DRY_RUN");
+  const seed = getSeed();
+  const published = storage.read("calendar", null);
+
+  // Days already revealed (SIMULATE_DATE is honoured like in the server)
+  const campaign = loadCampaignConfig();
+  const { unlockedDays } = getCampaignState(campaign, createClock(campaign, process.env.SIMULATE_DATE).now());
+  const lockedDays = incremental && published ? unlockedDays : 0;
+  if (incremental && placeholderFlag) {
+    throw new Error("--incremental can't be combined with --placeholders");
+  }
+  if (incremental && !published) {
+    // eslint-disable-next-line no-console
+    console.log("No published calendar yet, generating every day");
+  }
 
   let calendar;
   if (placeholderFlag) {
-    const LINKS_PER_DAY = 3;
+    const rng = createRng(seed);
     const REQUIRED_DAYS = getRequiredDays();
     
     // Generate random ID-like strings
@@ -180,7 +94,7 @@ function main() {
       const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
       let result = '';
       for (let i = 0; i < length; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
+        result += chars.charAt(Math.floor(rng() * chars.length));
       }
       return result;
     }
@@ -188,7 +102,7 @@ function main() {
     function randomNumericId(length = 10) {
       let result = '';
       for (let i = 0; i < length; i++) {
-        result += Math.floor(Math.random() * 10);
+        result += Math.floor(rng() * 10);
       }
       return result;
     }
@@ -199,15 +113,15 @@ function main() {
       () => `https://youtu.be/${randomId(11)}`,
       () => `https://open.spotify.com/track/${randomId(22)}`,
       () => `https://www.deezer.com/track/${randomNumericId(10)}`,
-      () => `https://soundcloud.com/artist-${Math.floor(Math.random() * 1000)}/track-${Math.floor(Math.random() * 1000)}`,
-      () => `https://artist${Math.floor(Math.random() * 100)}.bandcamp.com/track/track-${Math.floor(Math.random() * 1000)}`
+      () => `https://soundcloud.com/artist-${Math.floor(rng() * 1000)}/track-${Math.floor(rng() * 1000)}`,
+      () => `https://artist${Math.floor(rng() * 100)}.bandcamp.com/track/track-${Math.floor(rng() * 1000)}`
     ];
     
     // Generate placeholder submissions with bangers
     const NUM_BANGERS = 15;
     const placeholderSubmissions = [];
     for (let i = 1; i <= NUM_BANGERS; i++) {
-      const serviceIndex = Math.floor(Math.random() * services.length);
+      const serviceIndex = Math.floor(rng() * services.length);
       const urlGenerator = services[serviceIndex];
       placeholderSubmissions.push({
         id: `placeholder-${i}-${Date.now()}`,
@@ -218,7 +132,9 @@ function main() {
       });
     }
     // Write placeholder submissions to submissions.json
-    fs.writeFileSync(submissionsPath, JSON.stringify(placeholderSubmissions, null, 2));
+    if (!dryRun) {
+      storage.write("submissions", placeholderSubmissions);
+    }
     
     calendar = {};
     for (let day = 1; day <= REQUIRED_DAYS; day++) {
@@ -233,7 +149,7 @@ function main() {
         const items = [];
         for (let i = 1; i <= LINKS_PER_DAY; i++) {
           // Randomly select a service
-          const serviceIndex = Math.floor(Math.random() * services.length);
+          const serviceIndex = Math.floor(rng() * services.length);
           const urlGenerator = services[serviceIndex];
           items.push({
             url: urlGenerator()
@@ -243,21 +159,57 @@ function main() {
       }
     }
   } else {
-    const calendarGenerated = generateCalendar(submissions);
+    const calendarGenerated = generateCalendar(submissions, {
+      days: getRequiredDays(),
+      seed,
+      distinctPlatforms: getFlag("--distinct-platforms", "DISTINCT_PLATFORMS"),
+      noConsecutive: getFlag("--no-consecutive", "NO_CONSECUTIVE"),
+      published,
+      lockedDays,
+    });
     calendar = calendarGenerated;
   }
 
-  fs.writeFileSync(calendarPath, JSON.stringify(calendar, null, 2));
+  if (published) {
+    // eslint-disable-next-line no-console
+    console.log(diffCalendars(published, calendar));
+    if (incremental) {
+      assertPublishedDaysUnchanged(published, calendar, lockedDays);
+      if (lockedDays > 0) {
+        // eslint-disable-next-line no-console
+        console.log(`Kept days 1..${lockedDays} as published`);
+      }
+    } else if (unlockedDays > 0) {
+      // eslint-disable-next-line no-console
+      console.warn(`Warning: full regeneration while ${unlockedDays} day(s) are already revealed, use --incremental to keep them`);
+    }
+  }
+
+  if (dryRun) {
+    // eslint-disable-next-line no-console
+    console.log("Dry run, nothing written");
+    storage.close();
+    return;
+  }
+
+  storage.write("calendar", calendar);
   // eslint-disable-next-line no-console
-  console.log(`Generated calendar.json at ${calendarPath}`);
+  console.log(`Generated calendar with seed ${seed} (${storage.backend} storage in ${dataDir})`);
+
+  if (!placeholderFlag && !process.argv.includes("--no-metadata")) {
+    const metadata = createMetadataService({ storage, endpoints: metadataEndpointsFromEnv() });
+    const urls = Object.values(calendar).flat().map((entry) => entry.url).filter((url) => url !== "REDACTED");
+    const { fetched, failed } = await metadata.enrich(urls);
+    // eslint-disable-next-line no-console
+    console.log(`Link metadata: ${fetched} fetched, ${failed} failed`);
+  }
+  storage.close();
 }
 
-try {
-  main();
-} catch (err) {
+main().catch((err) => {
   // eslint-disable-next-line no-console
   console.error("Failed to generate calendar:", err.message);
   process.exit(1);
-}
+});
 
 
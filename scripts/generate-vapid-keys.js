@@ -0,0 +1,11 @@
+// Node script printing a new VAPID key pair for push notifications
+// Usage: node scripts/generate-vapid-keys.js >> .env
+// - Generate once and keep them: browsers subscribed with a public key stop receiving pushes
+//   when it changes
+
+import { generateVapidKeys } from "../lib/web-push.js";
+
+const { publicKey, privateKey } = generateVapidKeys();
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log("VAPID_SUBJECT=mailto:you@example.com");
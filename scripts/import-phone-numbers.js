@@ -0,0 +1,68 @@
+// Node script to import a phone-numbers.txt (one number per line, # for comments), as kept by
+// older versions, into the subscriber list
+// Usage: node scripts/import-phone-numbers.js [--file=path/to/phone-numbers.txt] [--dry-run]
+// - Valid numbers become active subscribers (no confirmation code); numbers already in the
+//   list are left as they are, so an opted-out number stays opted out
+// - The file isn't changed: running the script again only adds the numbers that are new
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createStorage } from "../lib/storage/index.js";
+import { normalizePhoneNumber, newSubscriber } from "../lib/subscriptions.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, "..", "data");
+
+function getFilePath() {
+  const cliArg = process.argv.find((a) => a.startsWith("--file="));
+  if (cliArg) return path.resolve(cliArg.slice("--file=".length));
+  return path.join(dataDir, "phone-numbers.txt");
+}
+
+function main() {
+  const filePath = getFilePath();
+  const dryRun = process.argv.includes("--dry-run");
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${filePath} not found`);
+  }
+  const lines = fs
+    .readFileSync(filePath, "utf-8")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !line.startsWith("#"));
+
+  const storage = createStorage({ dataDir });
+  const now = new Date().toISOString();
+  let imported = [];
+  let invalid = [];
+  storage.update("subscribers", [], (subscribers) => {
+    const known = new Set(subscribers.map((s) => s.phone));
+    invalid = lines.filter((line) => !normalizePhoneNumber(line));
+    const phones = new Set(lines.map((line) => normalizePhoneNumber(line)).filter((phone) => phone && !known.has(phone)));
+    imported = Array.from(phones, (phone) => newSubscriber(phone, { status: "active", source: "phone-numbers.txt", confirmedAt: now }));
+    return imported.length && !dryRun ? subscribers.concat(imported) : undefined;
+  });
+  storage.close();
+
+  for (const line of invalid) {
+    // eslint-disable-next-line no-console
+    console.log(`Skipping ${line}: not a phone number in international format`);
+  }
+  for (const subscriber of imported) {
+    // eslint-disable-next-line no-console
+    console.log(`${dryRun ? "Would import" : "Imported"} ${subscriber.phone}`);
+  }
+  // eslint-disable-next-line no-console
+  console.log(`${dryRun ? "Dry run: would import" : "Imported"} ${imported.length} of ${lines.length} number(s) from ${filePath}`);
+}
+
+try {
+  main();
+} catch (err) {
+  // eslint-disable-next-line no-console
+  console.error("Failed to import phone numbers:", err.message);
+  process.exit(1);
+}
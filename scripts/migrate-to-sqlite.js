@@ -0,0 +1,58 @@
+// Node script to import the JSON documents from data/*.json into the SQLite backend
+// Usage: node scripts/migrate-to-sqlite.js [--force] [--sqlite=path/to/db.sqlite]
+// - Every data/<name>.json file becomes the <name> document in SQLite
+// - Documents already present in SQLite are kept unless --force is given
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { createJsonStore, createSqliteStore } from "../lib/storage/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, "..", "data");
+
+function getSqlitePath() {
+  const cliArg = process.argv.find((a) => a.startsWith("--sqlite="));
+  if (cliArg) return path.resolve(cliArg.split("=")[1]);
+  return process.env.SQLITE_PATH || path.join(dataDir, "tonpere.sqlite");
+}
+
+function main() {
+  const force = process.argv.includes("--force");
+  const sqlitePath = getSqlitePath();
+  const source = createJsonStore({ dataDir });
+  const target = createSqliteStore({ sqlitePath });
+
+  const existing = new Set(target.list());
+  let imported = 0;
+  for (const name of source.list()) {
+    if (existing.has(name) && !force) {
+      // eslint-disable-next-line no-console
+      console.log(`Skipping ${name}: already in SQLite (use --force to overwrite)`);
+      continue;
+    }
+    const value = source.read(name, undefined);
+    if (value === undefined) {
+      // eslint-disable-next-line no-console
+      console.log(`Skipping ${name}: could not read ${name}.json`);
+      continue;
+    }
+    target.write(name, value);
+    imported++;
+    // eslint-disable-next-line no-console
+    console.log(`Imported ${name}`);
+  }
+
+  target.close();
+  // eslint-disable-next-line no-console
+  console.log(`Imported ${imported} document(s) into ${sqlitePath}`);
+}
+
+try {
+  main();
+} catch (err) {
+  // eslint-disable-next-line no-console
+  console.error("Failed to migrate:", err.message);
+  process.exit(1);
+}
@@ -0,0 +1,68 @@
+// Node script standing in for a browser's push service, to test push notifications locally
+// Usage: node scripts/mock-push-server.js [--port=4010] [--status=201]
+// - Prints a push subscription to register with the server (started with npm run dev, which
+//   accepts http:// endpoints): POST it to /api/push/subscriptions
+// - Checks the VAPID signature of every push it receives, decrypts it and prints the payload
+// - --status=410 answers like an expired subscription, which the server should then drop
+
+import http from "http";
+import crypto from "crypto";
+import { verifyVapidAuthorization, decryptPayload } from "../lib/web-push.js";
+
+function getArg(name, fallback) {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.split("=")[1] : fallback;
+}
+
+const port = Number(getArg("port", 4010));
+const status = Number(getArg("status", 201));
+
+// Keys a browser would generate for its subscription
+const ecdh = crypto.createECDH("prime256v1");
+ecdh.generateKeys();
+const authSecret = crypto.randomBytes(16);
+const endpoint = `http://localhost:${port}/push/${crypto.randomBytes(8).toString("hex")}`;
+const subscription = {
+  endpoint,
+  keys: { p256dh: ecdh.getPublicKey().toString("base64url"), auth: authSecret.toString("base64url") },
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const url = `http://localhost:${port}${req.url}`;
+    if (req.method !== "POST" || url !== endpoint) {
+      res.writeHead(404).end();
+      return;
+    }
+    const claims = verifyVapidAuthorization(req.headers.authorization, endpoint);
+    if (!claims) {
+      console.error("Rejected push: missing or invalid VAPID authorization");
+      res.writeHead(401).end();
+      return;
+    }
+    if (req.headers["content-encoding"] !== "aes128gcm") {
+      console.error(`Rejected push: unsupported Content-Encoding ${req.headers["content-encoding"]}`);
+      res.writeHead(415).end();
+      return;
+    }
+    try {
+      const payload = decryptPayload(Buffer.concat(chunks), { ecdh, authSecret });
+      console.log(`Push from ${claims.sub} (TTL ${req.headers.ttl}): ${payload}`);
+    } catch (err) {
+      console.error("Rejected push: payload can't be decrypted:", err.message);
+      res.writeHead(400).end();
+      return;
+    }
+    res.writeHead(status, { Location: `${endpoint}/messages/${Date.now()}` }).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock push service on http://localhost:${port}, answering ${status}`);
+  console.log("Register this subscription:");
+  console.log(
+    `curl -X POST http://localhost:3000/api/push/subscriptions -H 'Content-Type: application/json' -d '${JSON.stringify(subscription)}'`
+  );
+});
@@ -3,130 +3,313 @@ import express from "express";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
-import twilio from "twilio";
+import { execFile } from "child_process";
+import crypto from "crypto";
 import cron from "node-cron";
+import twilio from "twilio";
+import { createStorage } from "./lib/storage/index.js";
+import { createNotifiers, resolveChannel, CHANNELS, CHANNEL_FIELDS } from "./lib/notifiers/index.js";
+import { isDeliveryDue, applyDeliveryAttempt, buildDeliveryReport } from "./lib/deliveries.js";
+import {
+  normalizePhoneNumber,
+  generateConfirmationCode,
+  newSubscriber,
+  hashSecret,
+  parseSmsKeyword,
+  CODE_TTL_MS,
+  CODE_RESEND_DELAY_MS,
+  MAX_CODE_ATTEMPTS,
+} from "./lib/subscriptions.js";
+import { classifyUserAgent, getReferrerOrigin, summarizeClicks } from "./lib/link-analytics.js";
+import { createShortLinkStore, isExpired as isShortLinkExpired, CODE_PATTERN } from "./lib/short-links.js";
+import { createMetadataService, metadataEndpointsFromEnv } from "./lib/metadata.js";
+import {
+  PLAYER_NAME_MAX_LENGTH,
+  generatePlayerToken,
+  getGuessingStatus,
+  getGuessableTracks,
+  scoreDay,
+  buildLeaderboard,
+} from "./lib/game.js";
+import {
+  REACTIONS,
+  cleanNickname,
+  cleanCommentText,
+  summarizeReactions,
+  toggleReaction,
+  buildThread,
+} from "./lib/feedback.js";
+import { createRateLimiter } from "./lib/rate-limit.js";
+import { EXPORT_FORMATS, renderPlaylist } from "./lib/playlist-export.js";
+import { parsePushSubscription } from "./lib/web-push.js";
+import { renderAtomFeed, renderIcsCalendar } from "./lib/feeds.js";
+import {
+  PAIRING_CODE_TTL_MS,
+  generatePairingCode,
+  normalizePairingCode,
+  normalizeProgress,
+  mergeDays,
+  countOpenedDays,
+  pruneCodes,
+} from "./lib/progress.js";
+import { normalizeMusicLink, getTrackKey, splitLinkNote } from "./public/music-links.js";
+import { cleanSubmitterName, getSubmitterKey, indexSubmittedTracks, indexTrackAttributions } from "./lib/submitters.js";
+import {
+  loadCampaignConfig,
+  getCampaignState,
+  isDayUnlocked,
+  getSubmissionWindow,
+  getDayWindow,
+  getDateInTimezone,
+  isPastSendTime,
+  createClock,
+  getRequestTime,
+} from "./lib/campaign.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Campaign dates (config/campaign.json + CAMPAIGN_* env), shared by the API, the SMS job and the pages
+const campaign = loadCampaignConfig();
+
+// SIMULATE_DATE=YYYY-MM-DD[THH:MM] shifts the whole server clock (unlocking, SMS log, countdowns).
+// In development, ?simulateDate=... on the API routes does the same for a single request.
+const clock = createClock(campaign, process.env.SIMULATE_DATE);
+const allowRequestDateOverride = process.env.NODE_ENV === "development";
+if (clock.simulated) {
+  console.log(`SIMULATE_DATE set: server clock starts at ${clock.now().toISOString()} (${campaign.timezone})`);
+}
+
+function getNow(req) {
+  return getRequestTime(campaign, clock, req && req.query.simulateDate, { allowOverride: allowRequestDateOverride });
+}
+
+// Calendar date (YYYY-MM-DD) in the campaign timezone, used as the delivery log key
+function getCampaignDateKey(now = getNow()) {
+  return getDateInTimezone(campaign.timezone, now);
+}
+
 const app = express();
 const port = process.env.PORT || 3000;
 
 // Paths
 const publicDir = path.join(__dirname, "public");
-const dataDir = path.join(__dirname, "data");
-const submissionsPath = path.join(dataDir, "submissions.json");
-const calendarPath = path.join(dataDir, "calendar.json");
+// DATA_DIR moves the JSON documents elsewhere (the tests run the server on a temporary one)
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, "data");
 const phoneNumbersPath = path.join(dataDir, "phone-numbers.txt");
-const smsLogPath = path.join(dataDir, "sms-sent-log.json");
-const shortLinksPath = path.join(dataDir, "short-links.json");
+const viewsDir = path.join(__dirname, "views");
+const generateCalendarScript = path.join(__dirname, "scripts", "generate-calendar.js");
+
+// JSON documents (submissions, calendar, short-links, ...) live in the storage backend
+const storage = createStorage({ dataDir });
+const notifiers = createNotifiers({ dataDir });
+const metadata = createMetadataService({ storage, endpoints: metadataEndpointsFromEnv() });
+
+// Public address of the site, used in notifications
+const siteUrl = (process.env.PUBLIC_URL || "https://tonpere.com").replace(/\/+$/, "");
+
+// Shareable page of a calendar day (see GET /jour/:day)
+function getDayUrl(day) {
+  return `${siteUrl}/jour/${day}`;
+}
 
-// Ensure data directory and file exist
+// Ensure the data directory exists. A phone-numbers.txt from older versions isn't read
+// anymore: its numbers have to be imported into the subscriber list once.
 function ensureStorage() {
   if (!fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir, { recursive: true });
   }
-  if (!fs.existsSync(submissionsPath)) {
-    fs.writeFileSync(submissionsPath, JSON.stringify([] , null, 2));
-  }
-  if (!fs.existsSync(phoneNumbersPath)) {
-    // Create a template file with instructions
-    fs.writeFileSync(phoneNumbersPath, "# Add phone numbers here, one per line\n# Format: +1234567890 (include country code)\n# Example:\n# +15551234567\n# +15559876543\n");
-  }
-  if (!fs.existsSync(smsLogPath)) {
-    fs.writeFileSync(smsLogPath, JSON.stringify([], null, 2));
-  }
-  if (!fs.existsSync(shortLinksPath)) {
-    fs.writeFileSync(shortLinksPath, JSON.stringify({}, null, 2));
+  if (fs.existsSync(phoneNumbersPath)) {
+    console.warn(
+      "Warning: data/phone-numbers.txt is ignored, numbers now live in the subscriber list. "
+      + "Run `npm run import:phone-numbers` to add its numbers there (they can be managed in the admin afterwards)."
+    );
   }
 }
 
 ensureStorage();
 
-function sanitizeDayData(dayData) {
+// Who proposed a calendar entry: { url, submitterName, note, anonymous }.
+// Attribution comes from the current submissions (attributions, see indexTrackAttributions) so a
+// submitter switching to anonymous is respected, and from the calendar entry for links no
+// submission has anymore.
+function getEntryCredit(item, attributions) {
+  const entry = typeof item === "object" && item !== null ? item : {};
+  const url = typeof entry.url === "string" ? entry.url : "";
+  const credit = attributions.get(getTrackKey(url)) || {
+    submitterName: typeof entry.submitterName === "string" ? entry.submitterName : null,
+    note: typeof entry.note === "string" ? entry.note : null,
+    anonymous: Boolean(entry.anonymous),
+  };
+  return { url, submitterName: credit.submitterName || null, note: credit.note || null, anonymous: credit.anonymous };
+}
+
+// Entries as exposed by /api/calendar: the url, who proposed it and their note, plus cached
+// metadata (title, artist, thumbnail, duration) when it has been fetched.
+// Anonymous entries keep their note but not the name; hideNames (a day still open in the
+// guessing game) hides every name and marks the entries as hidden.
+function sanitizeDayData(dayData, { metadataByUrl = new Map(), attributions = new Map(), hideNames = false } = {}) {
   if (!Array.isArray(dayData)) return [];
   return dayData.map((item) => {
-    const url = typeof item === "object" && item !== null && typeof item.url === "string" ? item.url : "";
-    return { url };
+    const credit = getEntryCredit(item, attributions);
+    const url = credit.url;
+    const result = {
+      url,
+      submitterName: credit.anonymous || hideNames ? null : credit.submitterName,
+      anonymous: credit.anonymous,
+      note: credit.note,
+    };
+    if (hideNames && !credit.anonymous) result.hidden = true;
+    const info = metadataByUrl.get(url);
+    if (!info) return result;
+    return { ...result, title: info.title, artist: info.artist, thumbnail: info.thumbnail, duration: info.duration };
   });
 }
 
+// Fetch missing metadata without holding up the caller (see lib/metadata.js)
+function enrichInBackground(urls) {
+  metadata.enrich(urls).then(({ fetched, failed }) => {
+    if (fetched || failed) console.log(`Link metadata: ${fetched} fetched, ${failed} failed`);
+  }).catch((err) => console.error("Link metadata enrichment failed:", err.message));
+}
+
+function getCalendarUrls(calendarData) {
+  return Object.values(calendarData || {})
+    .flat()
+    .map((entry) => entry && entry.url)
+    .filter((url) => url && url !== "REDACTED");
+}
+
 // Middleware
-app.use(express.urlencoded({ extended: false }));
-app.use(express.json());
+// HTTP hardening: security headers (the CSP included), per-IP rate limits, small request bodies
+// and the same error responses everywhere (see sendHttpError).
+// Behind a reverse proxy, set TRUST_PROXY (true, a hop count or addresses) so req.ip and
+// req.secure come from its X-Forwarded-* headers and every visitor doesn't share one limit.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+app.disable("x-powered-by");
+
+// One policy for every page: inline scripts are still used by the pages, embeds are limited to
+// the players the calendar knows and thumbnails can come from any https host.
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline'",
+  "style-src 'self' https://fonts.googleapis.com",
+  "font-src 'self' https://fonts.gstatic.com",
+  "img-src 'self' https:",
+  "frame-src https://www.youtube.com https://open.spotify.com https://w.soundcloud.com https://widget.deezer.com https://*.bandcamp.com",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join("; ");
+
+app.use((req, res, next) => {
+  res.set({
+    "Content-Security-Policy": CONTENT_SECURITY_POLICY,
+    "X-Content-Type-Options": "nosniff",
+    "X-Frame-Options": "DENY",
+    "Referrer-Policy": "strict-origin-when-cross-origin",
+    "Permissions-Policy": "camera=(), microphone=(), geolocation=(), payment=()",
+    "Cross-Origin-Opener-Policy": "same-origin",
+  });
+  if (req.secure) {
+    res.set("Strict-Transport-Security", "max-age=15552000; includeSubDomains");
+  }
+  next();
+});
+
+// Checked before the body is even parsed
+const apiLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 120 });
+const submitLimiter = createRateLimiter({ windowMs: 10 * 60 * 1000, max: 10 });
+
+function limitByIp(limiter) {
+  return (req, res, next) => (checkRateLimit(req, res, limiter, req.ip) ? next() : undefined);
+}
+
+app.use("/api", limitByIp(apiLimiter));
+
+// Writes to the API only from the site's own pages: the admin's cached Basic auth and the
+// visitor cookies go along with any cross-site form post, so those are refused. Browsers say
+// where a request comes from (Sec-Fetch-Site, or Origin for older ones); clients without
+// either (scripts, curl) aren't browsers and carry no ambient credentials.
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+function isSameOriginRequest(req) {
+  const fetchSite = req.get("Sec-Fetch-Site");
+  if (fetchSite) return fetchSite === "same-origin" || fetchSite === "none";
+  const origin = req.get("Origin");
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.get("Host");
+  } catch (err) {
+    return false;
+  }
+}
+
+app.use("/api", (req, res, next) => {
+  if (SAFE_METHODS.has(req.method) || isSameOriginRequest(req)) return next();
+  return sendHttpError(req, res, 403, "Cross-site requests are not allowed");
+});
+
+// A full submission (MAX_SUBMISSION_LINES lines with notes) fits well under this
+const BODY_LIMIT = "32kb";
+// Twilio's inbound SMS webhook posts a couple dozen fields, more than any form of the site
+app.use("/webhooks/twilio/sms", express.urlencoded({ extended: false, limit: BODY_LIMIT, parameterLimit: 100 }));
+app.use(express.urlencoded({ extended: false, limit: BODY_LIMIT, parameterLimit: 20 }));
+app.use(express.json({ limit: BODY_LIMIT }));
 
 // Serve calendar.html as root
 app.get("/", (_req, res) => {
   res.sendFile(path.join(publicDir, "calendar.html"));
 });
 
+// The submission form carries its CSRF token (see verifyCsrf), so it's rendered per visitor
+app.get("/index.html", (req, res) => {
+  const token = ensureCsrfToken(req, res);
+  const html = fs
+    .readFileSync(path.join(publicDir, "index.html"), "utf8")
+    .replace(`name="${CSRF_FIELD}" value=""`, `name="${CSRF_FIELD}" value="${token}"`);
+  res.set("Cache-Control", "no-store");
+  return res.type("html").send(html);
+});
+
 app.use(express.static(publicDir));
 
-// Helper to read/write submissions safely
+// Helpers to read/write submissions safely
 function readSubmissions() {
-  try {
-    const raw = fs.readFileSync(submissionsPath, "utf-8");
-    return JSON.parse(raw);
-  } catch (err) {
-    return [];
-  }
+  return storage.read("submissions", []);
 }
 
 function writeSubmissions(submissions) {
-  fs.writeFileSync(submissionsPath, JSON.stringify(submissions, null, 2));
+  storage.write("submissions", submissions);
 }
 
-// Shared date utilities
-function getCurrentDateInfo() {
-  const now = new Date();
-  return {
-    now,
-    currentMonth: now.getMonth(), // 0-indexed
-    targetMonth: 11, // October (for testing)
-    today: now.getDate(),
-  };
+// Locked read-modify-write; mutator returns the new list (or undefined to skip the write)
+function updateSubmissions(mutator) {
+  return storage.update("submissions", [], mutator);
 }
 
 // SMS functionality
 function readCalendar() {
-  try {
-    if (!fs.existsSync(calendarPath)) {
-      return null;
-    }
-    const raw = fs.readFileSync(calendarPath, "utf-8");
-    return JSON.parse(raw);
-  } catch (err) {
-    console.error("Error reading calendar:", err);
-    return null;
-  }
+  return storage.read("calendar", null);
 }
 
-function getTodayCalendarEntries() {
+function getTodayCalendarEntries(now = getNow()) {
   const calendarData = readCalendar();
   if (!calendarData) {
     return { entries: [], isLastDay: false };
   }
   
-  const { currentMonth, targetMonth, today } = getCurrentDateInfo();
-  
   // Determine which calendar day corresponds to today
-  // Same logic as the calendar endpoint
-  let calendarDay = null;
-  if (currentMonth > targetMonth) {
-    // We're past the target month, use today's date
-    calendarDay = today;
-  } else if (currentMonth === targetMonth) {
-    // We're in the target month, use today's date
-    calendarDay = today;
-  } else {
-    // We're before the target month, no calendar day available
+  // Only days inside the campaign get a message, nothing before or after it
+  const { today: calendarDay } = getCampaignState(campaign, now);
+  if (!calendarDay) {
     return { entries: [], isLastDay: false };
   }
-  
-  // Get max day from calendar
-  const dayKeys = Object.keys(calendarData).map(Number).filter((n) => Number.isFinite(n));
-  const maxDay = dayKeys.length ? Math.max(...dayKeys) : 24;
-  const isLastDay = calendarDay === maxDay;
+  const isLastDay = calendarDay === campaign.days;
   
   // Get entries for today's calendar day
   const dayStr = String(calendarDay);
@@ -137,351 +320,2201 @@ function getTodayCalendarEntries() {
   }
   
   const entries = dayData.filter((item) => item && item.url && item.url !== "REDACTED");
-  return { entries, isLastDay };
+  return { entries, isLastDay, day: calendarDay };
+}
+
+// Subscribers (see lib/subscriptions.js): numbers confirmed through the calendar page,
+// added by an admin or imported from phone-numbers.txt (scripts/import-phone-numbers.js)
+function readSubscribers() {
+  return storage.read("subscribers", []);
+}
+
+function updateSubscribers(mutator) {
+  return storage.update("subscribers", [], mutator);
 }
 
+// Numbers that get the daily SMS
 function readPhoneNumbers() {
-  try {
-    if (!fs.existsSync(phoneNumbersPath)) {
-      return [];
-    }
-    const content = fs.readFileSync(phoneNumbersPath, "utf-8");
-    return content
-      .split(/\r?\n/)
-      .map((line) => line.trim())
-      .filter((line) => line.length > 0 && !line.startsWith("#"));
-  } catch (err) {
-    console.error("Error reading phone numbers:", err);
-    return [];
-  }
+  return readSubscribers()
+    .filter((s) => s.status === "active")
+    .map((s) => s.phone);
 }
 
-function readSmsLog() {
-  try {
-    if (!fs.existsSync(smsLogPath)) {
-      return [];
-    }
-    const raw = fs.readFileSync(smsLogPath, "utf-8");
-    return JSON.parse(raw);
-  } catch (err) {
-    return [];
-  }
+// Numbers that opted out; they never get an SMS, even as an admin-managed recipient
+function readOptedOutPhoneNumbers() {
+  return new Set(readSubscribers().filter((s) => s.status === "unsubscribed").map((s) => s.phone));
 }
 
-function writeSmsLog(log) {
-  fs.writeFileSync(smsLogPath, JSON.stringify(log, null, 2));
+function getUnsubscribeUrl(subscriber) {
+  return `${siteUrl}/unsubscribe?token=${encodeURIComponent(subscriber.unsubscribeToken)}`;
 }
 
-function hasSentToday() {
-  const log = readSmsLog();
-  const today = new Date().toISOString().split("T")[0]; // YYYY-MM-DD format
-  return log.includes(today);
+// Per-recipient delivery log, keyed by campaign date (see lib/deliveries.js)
+function readDeliveryLog() {
+  return storage.read("delivery-log", {});
 }
 
-function markAsSent() {
-  const log = readSmsLog();
-  const today = new Date().toISOString().split("T")[0];
-  if (!log.includes(today)) {
-    log.push(today);
-    writeSmsLog(log);
-  }
+function recordDelivery(date, recipient, channel, result, now) {
+  storage.update("delivery-log", {}, (log) => {
+    const day = log[date] || {};
+    const entry = applyDeliveryAttempt(day[recipient.id], recipient, channel, result, now);
+    return { ...log, [date]: { ...day, [recipient.id]: entry } };
+  });
 }
 
-// URL shortener functionality
-function readShortLinks() {
-  try {
-    if (!fs.existsSync(shortLinksPath)) {
-      return {};
-    }
-    const raw = fs.readFileSync(shortLinksPath, "utf-8");
-    return JSON.parse(raw);
-  } catch (err) {
-    console.error("Error reading short links:", err);
-    return {};
-  }
+// URL shortener functionality (see lib/short-links.js)
+// First path segments served by real files and routes: short codes and aliases can't use them
+const reservedPaths = new Set(
+  fs
+    .readdirSync(publicDir)
+    .flatMap((name) => [name, name.replace(/\.[^.]+$/, "")])
+    .concat(["api", "admin", "submit", "health", "unsubscribe", "webhooks", "feed", "jour"])
+    .map((name) => name.toLowerCase())
+);
+
+function isReservedPath(code) {
+  return reservedPaths.has(String(code).toLowerCase());
 }
 
-function writeShortLinks(links) {
-  fs.writeFileSync(shortLinksPath, JSON.stringify(links, null, 2));
+const shortLinks = createShortLinkStore({
+  storage,
+  isReserved: isReservedPath,
+  // New links expire after SHORT_LINK_TTL_DAYS days when it is set; an expired link gets a new code
+  ttlDays: parseFloat(process.env.SHORT_LINK_TTL_DAYS) || null,
+});
+
+// Short links of every calendar URL are created when the calendar is generated (and on start, for
+// a calendar generated while the server was down), so the feeds only have to read them.
+function ensureCalendarShortLinks() {
+  const urls = getCalendarUrls(readCalendar());
+  if (urls.length) shortLinks.getCodes(urls);
 }
 
-// Generate a short code from a URL
-function generateShortCode() {
-  // Use base62 encoding (0-9, a-z, A-Z) for short codes
-  const chars = "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ";
-  let code = "";
-  for (let i = 0; i < 6; i++) {
-    code += chars[Math.floor(Math.random() * chars.length)];
-  }
-  return code;
+function recordClick(req, code) {
+  storage.update("short-link-clicks", [], (clicks) =>
+    clicks.concat({
+      at: new Date().toISOString(),
+      code,
+      referrer: getReferrerOrigin(req.get("Referer")),
+      agent: classifyUserAgent(req.get("User-Agent")),
+    })
+  );
 }
 
-// Get or create a short link for a URL
-function getShortLink(url) {
-  const links = readShortLinks();
-  
-  // Check if URL already has a short code
-  for (const [code, storedUrl] of Object.entries(links)) {
-    if (storedUrl === url) {
-      return code;
-    }
+// Calendar day each URL was published on
+function getUrlDays() {
+  const urlDays = new Map();
+  const calendarData = readCalendar() || {};
+  for (const [day, entries] of Object.entries(calendarData)) {
+    (Array.isArray(entries) ? entries : []).forEach((entry) => {
+      if (entry && entry.url && !urlDays.has(entry.url)) urlDays.set(entry.url, Number(day));
+    });
   }
-  
-  // Generate new short code
-  let code = generateShortCode();
-  // Ensure uniqueness (very unlikely collision, but just in case)
-  while (links[code]) {
-    code = generateShortCode();
-  }
-  
-  // Store the mapping
-  links[code] = url;
-  writeShortLinks(links);
-  
-  return code;
+  return urlDays;
+}
+
+// Recipients of the daily message, each with a preferred channel:
+//   { id, name, channel: "sms" | "email" | "webhook", phone, email, webhookUrl }
+// Active subscribers are SMS recipients unless someone already has that number.
+// Numbers that replied STOP are dropped, so those recipients fall back to another channel.
+function readRecipients() {
+  const optedOut = readOptedOutPhoneNumbers();
+  const recipients = storage.read("recipients", []).map((r) => (r.phone && optedOut.has(r.phone) ? { ...r, phone: "" } : r));
+  const knownPhones = new Set(recipients.map((r) => r.phone).filter(Boolean));
+  const subscribers = readPhoneNumbers()
+    .filter((phoneNumber) => !knownPhones.has(phoneNumber))
+    .map((phoneNumber) => ({ id: phoneNumber, name: phoneNumber, channel: "sms", phone: phoneNumber }));
+  return recipients.concat(subscribers);
+}
+
+function updateRecipients(mutator) {
+  return storage.update("recipients", [], mutator);
 }
 
-// Get full URL from short code
-function getFullUrl(shortCode) {
-  const links = readShortLinks();
-  return links[shortCode] || null;
+// Browsers subscribed to push notifications (POST /api/push/subscriptions):
+//   "push-subscriptions": [{ id, endpoint, keys: { p256dh, auth }, createdAt }]
+// They get the daily message like recipients, on the push channel only.
+function readPushSubscriptions() {
+  return storage.read("push-subscriptions", []);
 }
 
-function formatCalendarMessage(entries, isLastDay) {
+function updatePushSubscriptions(mutator) {
+  return storage.update("push-subscriptions", [], mutator);
+}
+
+function getPushSubscriptionId(endpoint) {
+  return `push-${crypto.createHash("sha256").update(endpoint).digest("hex").slice(0, 16)}`;
+}
+
+function readPushRecipients() {
+  return readPushSubscriptions().map((subscription) => ({
+    id: subscription.id,
+    name: `push ${new URL(subscription.endpoint).hostname}`,
+    channel: "push",
+    pushSubscription: { endpoint: subscription.endpoint, keys: subscription.keys },
+  }));
+}
+
+// Render the daily message for a channel: { subject, text, html, url }.
+// SMS stays short, webhooks get Markdown (Discord and Slack both render links), email gets HTML too,
+// push gets a one-line notification opening url.
+function formatCalendarMessage(entries, isLastDay, channel = "sms", day = null) {
+  const subject = isLastDay
+    ? "Tous les bangers sont sortis 🎄"
+    : day ? `Jour ${day} - ton père de l'avent` : "Ton père de l'avent";
+
+  // Links point to the page of the day, which opens it straight away
+  const pageUrl = day ? getDayUrl(day) : siteUrl;
+
   if (isLastDay) {
-    return "tous les bangers sont sortis, rdv sur https://tonpere.com ";
+    const text = `tous les bangers sont sortis, rdv sur ${pageUrl} `;
+    return {
+      subject,
+      text: channel === "webhook" ? `**Tous les bangers sont sortis**, rdv sur ${pageUrl}` : text,
+      html: `<p>Tous les bangers sont sortis, rdv sur <a href="${escapeHtml(pageUrl)}">${escapeHtml(pageUrl)}</a> !</p>`,
+      url: pageUrl,
+    };
   }
-  
+
+  if (channel === "push") {
+    const count = entries.filter((entry) => entry.url).length;
+    return {
+      subject,
+      text: `🎁 La case est ouverte : ${count} son${count > 1 ? "s" : ""} pour patienter jusqu'à Noël`,
+      html: null,
+      url: pageUrl,
+    };
+  }
+
+  const urls = entries.filter((entry) => entry.url).map((entry) => entry.url);
+  const codes = shortLinks.getCodes(urls);
+  const shortUrls = urls.map((url) => `${siteUrl}/${codes[url]}`);
+
+  if (channel === "webhook") {
+    const title = day ? `**Jour ${day}** : ` : "";
+    return {
+      subject,
+      text: `${title}Noel approche la mif, check ces bons sons pour patienter :\n${shortUrls.map((url) => `- ${url}`).join("\n")}${day ? `\nTout le jour ${day} : ${pageUrl}` : ""}`,
+      html: null,
+    };
+  }
+
   let message = `Noel approche la mif, check ces bons sons pour patienter :\n\n`;
-  entries.forEach((entry, index) => {
-    if (entry.url) {
-      const shortCode = getShortLink(entry.url);
-      const shortUrl = `https://tonpere.com/${shortCode}`;
-      message += `${shortUrl}\n`;
-    }
+  shortUrls.forEach((shortUrl) => {
+    message += `${shortUrl}\n`;
   });
-  
-  return message;
+  if (day) {
+    message += `\nTout le jour ${day} : ${pageUrl}\n`;
+  }
+  if (channel === "sms") {
+    message += `\nSTOP pour te désinscrire`;
+  }
+
+  return {
+    subject,
+    text: message,
+    html: channel === "email"
+      ? `<p>Noel approche la mif, check ces bons sons pour patienter :</p>
+<ul>${shortUrls.map((url) => `<li><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></li>`).join("")}</ul>
+<p><a href="${escapeHtml(pageUrl)}">Ouvrir le calendrier</a></p>`
+      : null,
+  };
 }
 
-async function sendDailySms() {
-  // Check if already sent today
-  if (hasSentToday()) {
-    console.log("SMS already sent today, skipping...");
+// Send today's message to every recipient who hasn't got it yet.
+// Each attempt is recorded per recipient; with retryOnly only failed deliveries whose
+// backoff has elapsed are tried again.
+let deliveryRunning = false;
+
+async function sendDailyNotifications({ retryOnly = false } = {}) {
+  if (deliveryRunning) return;
+  const now = getNow();
+  if (getCampaignState(campaign, now).status !== "running") {
+    if (!retryOnly) console.log("Campaign not running today, skipping notifications...");
     return;
   }
-  
-  // Check if Twilio credentials are configured
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-  const fromNumber = process.env.TWILIO_FROM_NUMBER;
-  
-  if (!accountSid || !authToken || !fromNumber) {
-    console.log("Twilio credentials not configured. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, and TWILIO_FROM_NUMBER environment variables.");
+
+  const today = getCampaignDateKey(now); // YYYY-MM-DD in the campaign timezone
+  const todayLog = readDeliveryLog()[today] || {};
+  const recipients = readRecipients()
+    .concat(readPushRecipients())
+    .filter((recipient) => isDeliveryDue(todayLog[recipient.id], now, { retryOnly }));
+
+  if (recipients.length === 0) {
+    if (!retryOnly) console.log("Nothing to send right now (everyone notified, retries pending or no recipients), skipping...");
     return;
   }
-  
+
   // Get today's calendar entries
-  const { entries: todayEntries, isLastDay } = getTodayCalendarEntries();
-  
-  // Don't send SMS if there are no entries
+  const { entries: todayEntries, isLastDay, day } = getTodayCalendarEntries(now);
+
+  // Nothing to send yet: nothing is recorded, so a calendar generated later today still goes out
   if (todayEntries.length === 0) {
-    console.log("No calendar entries for today, skipping SMS...");
-    // Still mark as sent to avoid checking again
-    markAsSent();
+    console.log("No calendar entries for today, skipping notifications...");
     return;
   }
-  
-  // Read phone numbers
-  const phoneNumbers = readPhoneNumbers();
-  
-  if (phoneNumbers.length === 0) {
-    console.log("No phone numbers configured. Add numbers to data/phone-numbers.txt");
-    return;
-  }
-  
-  // Format message
-  const message = formatCalendarMessage(todayEntries, isLastDay);
-  
-  // Initialize Twilio client
-  const client = twilio(accountSid, authToken);
-  
-  // Send to all phone numbers
-  const results = [];
-  for (const phoneNumber of phoneNumbers) {
-    try {
-      const result = await client.messages.create({
-        body: message,
-        from: fromNumber,
-        to: phoneNumber,
-      });
-      results.push({ phoneNumber, success: true, sid: result.sid });
-      console.log(`SMS sent to ${phoneNumber}: ${result.sid}`);
-    } catch (err) {
-      results.push({ phoneNumber, success: false, error: err.message });
-      console.error(`Failed to send SMS to ${phoneNumber}:`, err.message);
+
+  deliveryRunning = true;
+  try {
+    // One rendering per channel, shared by everyone on it
+    const messages = {};
+    let sent = 0;
+    for (const recipient of recipients) {
+      const route = resolveChannel(recipient, notifiers);
+      if (!route) {
+        const missing = notifiers[recipient.channel] ? notifiers[recipient.channel].missing : [];
+        const reason = missing && missing.length ? `${recipient.channel} not configured (${missing.join(", ")})` : "no usable channel";
+        recordDelivery(today, recipient, recipient.channel, { error: reason }, getNow());
+        console.error(`Can't notify ${recipient.name}: ${reason}`);
+        continue;
+      }
+      messages[route.channel] = messages[route.channel] || formatCalendarMessage(todayEntries, isLastDay, route.channel, day);
+      try {
+        const result = await notifiers[route.channel].send(route.address, messages[route.channel]);
+        recordDelivery(today, recipient, route.channel, { id: result.id }, getNow());
+        sent += 1;
+        console.log(`${route.channel} sent to ${recipient.name}: ${result.id || "ok"}`);
+      } catch (err) {
+        recordDelivery(today, recipient, route.channel, { error: err.message }, getNow());
+        console.error(`Failed to send ${route.channel} to ${recipient.name}:`, err.message);
+        // The browser unsubscribed or the subscription expired: it will never work again
+        if (err.gone && route.channel === "push") {
+          updatePushSubscriptions((subscriptions) => subscriptions.filter((s) => s.id !== recipient.id));
+        }
+      }
     }
-  }
-  
-  // Mark as sent if at least one message was successful
-  const hasSuccess = results.some((r) => r.success);
-  if (hasSuccess) {
-    markAsSent();
-    console.log(`Daily SMS sent. Success: ${results.filter((r) => r.success).length}/${results.length}`);
-  } else {
-    console.error("Failed to send any SMS messages. Not marking as sent.");
+    console.log(`${retryOnly ? "Retried" : "Daily"} notifications: ${sent}/${recipients.length} sent`);
+  } finally {
+    deliveryRunning = false;
   }
 }
 
-// Set up daily cron job (runs at 9:00 AM every day)
+// Set up daily cron job (runs every day at the campaign sendTime, in the campaign timezone)
 // Cron format: minute hour day month weekday
-cron.schedule("0 10 * * *", () => {
-  console.log("Running daily SMS job...");
-  sendDailySms().catch((err) => {
-    console.error("Error in daily SMS job:", err);
+cron.schedule(`${campaign.sendMinute} ${campaign.sendHour} * * *`, () => {
+  console.log("Running daily notification job...");
+  sendDailyNotifications().catch((err) => {
+    console.error("Error in daily notification job:", err);
+  });
+}, { timezone: campaign.timezone });
+
+// Fill in metadata and short links for a calendar generated while the server was down
+enrichInBackground(getCalendarUrls(readCalendar()));
+ensureCalendarShortLinks();
+
+// Retry failed deliveries once their backoff has elapsed
+cron.schedule("* * * * *", () => {
+  if (!isPastSendTime(campaign, getNow())) return;
+  sendDailyNotifications({ retryOnly: true }).catch((err) => {
+    console.error("Error in notification retry job:", err);
   });
 });
 
-// Also run on server start, but only if it's after 9am (will skip if already sent today)
-const now = new Date();
-const currentHour = now.getHours();
-if (currentHour >= 10) {
-  sendDailySms().catch((err) => {
-    console.error("Error in initial SMS check:", err);
+// Also run on server start, but only if it's after sendTime (skips recipients already notified today)
+const now = getNow();
+if (isPastSendTime(campaign, now)) {
+  sendDailyNotifications().catch((err) => {
+    console.error("Error in initial notification check:", err);
   });
 } else {
-  console.log(`Server started before 10am (current time: ${now.toLocaleTimeString()}). SMS will be sent at 9am via cron job.`);
+  const localTime = now.toLocaleTimeString("fr-FR", { timeZone: campaign.timezone });
+  console.log(`Server started before ${campaign.sendTime} ${campaign.timezone} (current time: ${localTime}). Notifications will be sent at ${campaign.sendTime} via cron job.`);
 }
 
-// POST endpoint to receive form submissions
-app.post("/submit", (req, res) => {
-  const { name, videos, banger } = req.body;
+// Generate the calendar once the submission deadline has passed.
+// Checked every minute and on start; the attempt is recorded so it only happens once per deadline.
+// Incremental, so days already revealed never change. AUTO_GENERATE_CALENDAR=false turns it off.
+let autoGenerationRunning = false;
 
-  const trimmedName = typeof name === "string" ? name.trim() : "";
-  const videosRaw = typeof videos === "string" ? videos : "";
-  const bangerRaw = typeof banger === "string" ? banger : "";
+async function generateCalendarAfterDeadline() {
+  if (process.env.AUTO_GENERATE_CALENDAR === "false" || autoGenerationRunning) return;
+  const now = getNow();
+  if (getSubmissionWindow(campaign, now).status !== "closed") return;
+  if (getCampaignState(campaign, now).status === "after") return;
+  const previous = storage.read("calendar-auto-generation", null);
+  if (previous && previous.deadline === campaign.submissionDeadline) return;
 
-  if (!trimmedName) {
-    return res.status(400).json({ error: "Name is required" });
+  autoGenerationRunning = true;
+  try {
+    console.log("Submissions closed, generating the calendar...");
+    const result = await runCalendarGeneration(["--incremental"]);
+    storage.write("calendar-auto-generation", {
+      deadline: campaign.submissionDeadline,
+      at: new Date().toISOString(),
+      ok: result.ok,
+      output: result.ok ? result.stdout : result.stderr || result.stdout,
+    });
+    if (result.ok) {
+      console.log(result.stdout);
+    } else {
+      console.error("Calendar generation after the deadline failed:", result.stderr || result.stdout);
+    }
+  } finally {
+    autoGenerationRunning = false;
   }
+}
 
-  const videoLines = videosRaw
-    .split(/\r?\n/) // split per line
-    .map((v) => v.trim())
-    .filter((v) => v.length > 0);
+cron.schedule("* * * * *", () => {
+  generateCalendarAfterDeadline().catch((err) => {
+    console.error("Error in calendar generation job:", err);
+  });
+});
 
-  if (videoLines.length === 0) {
-    return res.status(400).json({ error: "Please provide at least one YouTube link" });
+generateCalendarAfterDeadline().catch((err) => {
+  console.error("Error in initial calendar generation check:", err);
+});
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function wantsHtml(req) {
+  return Boolean(req.headers.accept && req.headers.accept.includes("text/html"));
+}
+
+const HTTP_ERROR_PAGES = {
+  400: ["Requête invalide", "Quelque chose cloche dans ce qui a été envoyé."],
+  403: ["Accès refusé", "Tu n'as pas le droit de faire ça."],
+  404: ["Page introuvable", "Cette page n'existe pas."],
+  413: ["Trop long", "C'est trop long, raccourcis un peu."],
+  415: ["Requête invalide", "Ce format n'est pas accepté."],
+  429: ["Doucement", "Trop de requêtes d'un coup, réessaie un peu plus tard."],
+  500: ["Oups", "Le serveur a eu un souci, réessaie plus tard."],
+};
+
+// Error response for API calls and pages alike: { error } in English for the API (and anything
+// not asking for HTML), a French page for browsers
+function sendHttpError(req, res, status, error, message = null) {
+  if (req.path.startsWith("/api/") || !wantsHtml(req)) {
+    return res.status(status).json({ error });
   }
+  const [title, defaultMessage] = HTTP_ERROR_PAGES[status] || HTTP_ERROR_PAGES[status < 500 ? 400 : 500];
+  return sendMessagePage(res, status, title, `<p>${escapeHtml(message || defaultMessage)}</p>`);
+}
 
-  const bangerSingle = bangerRaw
+// Non-empty lines of a textarea value, with their 1-based line number in the original text
+function splitLines(raw) {
+  return String(raw || "")
     .split(/\r?\n/)
-    .map((v) => v.trim())
-    .filter((v) => v.length > 0)[0] || "";
-
-  const submission = {
-    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
-    name: trimmedName,
-    videos: videoLines,
-    banger: bangerSingle,
-    createdAt: new Date().toISOString()
-  };
+    .map((value, index) => ({ line: index + 1, value: value.trim() }))
+    .filter((entry) => entry.value.length > 0);
+}
 
-  // Simple sync append to avoid complexity; fine for basic usage
-  const existing = readSubmissions();
-  existing.push(submission);
-  writeSubmissions(existing);
+// Validate and canonicalize submitted links (see public/music-links.js). A line may carry a
+// note after the link ("https://... - pourquoi ce son").
+// Returns { videos, banger, notes, details } where notes maps canonical URLs to their note and
+// details lists every rejected line.
+function validateSubmissionLinks(videoLines, bangerLine) {
+  const videos = [];
+  const notes = {};
+  const details = [];
+  for (const { line, value } of videoLines) {
+    const { link, note } = splitLinkNote(value);
+    const result = normalizeMusicLink(link);
+    if (result.ok) {
+      videos.push(result.url);
+      if (note) notes[result.url] = note;
+    } else {
+      details.push({ field: "videos", line, input: link, error: result.error, message: result.message });
+    }
+  }
 
-  // For form submission from browser, redirect to a simple thank-you page
-  if (req.headers.accept && req.headers.accept.includes("text/html")) {
-    return res.redirect(303, "/thank-you.html");
+  let banger = "";
+  if (bangerLine) {
+    const { link, note } = splitLinkNote(bangerLine.value);
+    const result = normalizeMusicLink(link);
+    if (result.ok) {
+      banger = result.url;
+      if (note) notes[result.url] = note;
+    } else {
+      details.push({ field: "banger", line: 1, input: link, error: result.error, message: result.message });
+    }
   }
+  return { videos, banger, notes, details };
+}
 
-  return res.status(201).json({ ok: true, submission });
-});
+// Checkbox ("on" from a form post) or JSON boolean
+function parseCheckbox(value) {
+  return value === true || value === "on" || value === "true";
+}
 
-// Serve the generated calendar JSON with date-based filtering
-app.get("/api/calendar", (_req, res) => {
-  try {
-    if (!fs.existsSync(calendarPath)) {
-      return res.status(404).json({ error: "calendar.json not found. Generate it first." });
+// Drop links repeated inside one submission and flag tracks someone already submitted.
+// Duplicates across submissions are kept (the generator only schedules a track once) but reported.
+function findDuplicates(validated, name, existingSubmissions, excludeId = null) {
+  const owners = indexSubmittedTracks(existingSubmissions, excludeId);
+  const nameKey = getSubmitterKey(name);
+  const warnings = [];
+  const seen = new Set();
+
+  const videos = [];
+  validated.videos.forEach((url) => {
+    const key = getTrackKey(url);
+    if (seen.has(key)) {
+      warnings.push({ field: "videos", input: url, error: "duplicate_in_submission", message: "Lien en double dans ta liste, gardé une seule fois" });
+      return;
     }
-    const raw = fs.readFileSync(calendarPath, "utf-8");
-    const calendarData = JSON.parse(raw);
-    
-    // Determine current date status
-    // TESTING: Using October (month 9) instead of December for testing
-    const { now, currentMonth, targetMonth, today } = getCurrentDateInfo();
-    
-    // Filter calendar data based on current date
-    const filtered = {};
-    const dayKeys = Object.keys(calendarData).map(Number).filter((n) => Number.isFinite(n));
-    const maxDay = dayKeys.length ? Math.max(...dayKeys) : 24;
-    
-    for (let day = 1; day <= maxDay; day++) {
-      const dayStr = String(day);
-      const dayData = calendarData[dayStr];
-      
-      if (!dayData) {
-        // Day doesn't exist in calendar, mark as REDACTED
-        filtered[dayStr] = [{ url: "REDACTED" }];
-        continue;
-      }
-      
-      // Check if day should be accessible
-      let isAccessible = false;
-      if (currentMonth > targetMonth) {
-        // We're past the target month, all days are accessible
-        isAccessible = true;
-      } else if (currentMonth === targetMonth) {
-        // We're in the target month, only past/current days are accessible
-        if (day <= today) {
-          isAccessible = true;
-        }
-      } else {
-        // We're before the target month, no days are accessible
-        isAccessible = false;
-      }
-      
-      if (isAccessible) {
-        // Return actual data (last day already includes all bangers from calendar generation)
-        filtered[dayStr] = sanitizeDayData(dayData);
-      } else {
-        // Return REDACTED placeholder
-        filtered[dayStr] = [{ url: "REDACTED" }];
-      }
+    seen.add(key);
+    videos.push(url);
+    if (owners.has(key)) {
+      warnings.push(duplicateWarning("videos", url, owners.get(key) === nameKey));
     }
-    
-    return res.json(filtered);
-  } catch (err) {
-    return res.status(500).json({ error: "Failed to read calendar.json" });
+  });
+
+  if (validated.banger) {
+    const key = getTrackKey(validated.banger);
+    if (owners.has(key)) {
+      warnings.push(duplicateWarning("banger", validated.banger, owners.get(key) === nameKey));
+    }
+  }
+
+  return { videos, warnings };
+}
+
+function duplicateWarning(field, url, isOwn) {
+  return {
+    field,
+    input: url,
+    error: "duplicate",
+    message: isOwn
+      ? "Tu avais déjà proposé ce son"
+      : "Quelqu'un a déjà proposé ce son, il ne passera qu'une fois dans le calendrier",
+  };
+}
+
+// Errors for POST /submit: JSON for API clients, a small page for plain form posts
+function sendSubmitError(req, res, status, error, details = []) {
+  if (!wantsHtml(req)) {
+    return res.status(status).json(details.length ? { error, details } : { error });
+  }
+  const items = details
+    .map((d) => `<li>${d.field === "banger" ? "banger" : `ligne ${d.line}`} : <code>${escapeHtml(d.input)}</code> - ${escapeHtml(d.message)}</li>`)
+    .join("");
+  return res.status(status).type("html").send(`<!doctype html>
+<html lang="fr">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Oups</title>
+  <link rel="stylesheet" href="/style.css">
+</head>
+<body>
+  <div class="card">
+    <h1>Oups</h1>
+    <p>${escapeHtml(error)}</p>
+    ${items ? `<ul class="form-errors">${items}</ul>` : ""}
+    <p><a href="/index.html">Retour au formulaire</a></p>
+  </div>
+</body>
+</html>`);
+}
+
+// Limits of a submission: lines beyond them are rejected, not truncated
+const NAME_MAX_LENGTH = 60;
+const MAX_SUBMISSION_LINES = 30;
+const LINE_MAX_LENGTH = 500;
+
+// Lines longer than LINE_MAX_LENGTH, reported like rejected links
+function findLongLines(field, lines) {
+  return lines
+    .filter((entry) => entry.value.length > LINE_MAX_LENGTH)
+    .map((entry) => ({
+      field,
+      line: entry.line,
+      input: `${entry.value.slice(0, 60)}…`,
+      error: "too_long",
+      message: `ligne trop longue (${LINE_MAX_LENGTH} caractères max)`,
+    }));
+}
+
+// Parse and validate the submission form fields shared by POST /submit and PUT /api/submissions/:id.
+// Returns { name, anonymous, validated } or { status, error, details } when the form must be rejected.
+function parseSubmissionForm(body) {
+  const { name, videos, banger, anonymous } = body || {};
+
+  const trimmedName = cleanSubmitterName(typeof name === "string" ? name : "");
+  const videosRaw = Array.isArray(videos) ? videos.join("\n") : typeof videos === "string" ? videos : "";
+  const bangerRaw = typeof banger === "string" ? banger : "";
+
+  if (!trimmedName) {
+    return { status: 400, error: "Name is required" };
+  }
+  if (trimmedName.length > NAME_MAX_LENGTH) {
+    return { status: 400, error: `Name must be at most ${NAME_MAX_LENGTH} characters` };
+  }
+
+  const videoLines = splitLines(videosRaw);
+  const bangerLines = splitLines(bangerRaw).slice(0, 1);
+
+  if (videoLines.length === 0) {
+    return { status: 400, error: "Please provide at least one YouTube link" };
+  }
+  if (videoLines.length > MAX_SUBMISSION_LINES) {
+    return { status: 400, error: `At most ${MAX_SUBMISSION_LINES} links per submission` };
+  }
+  const longLines = findLongLines("videos", videoLines).concat(findLongLines("banger", bangerLines));
+  if (longLines.length > 0) {
+    return { status: 400, error: "Some lines are too long", details: longLines };
+  }
+
+  const validated = validateSubmissionLinks(videoLines, bangerLines[0]);
+  if (validated.details.length > 0) {
+    return { status: 400, error: "Some links are not supported", details: validated.details };
+  }
+
+  return { name: trimmedName, anonymous: parseCheckbox(anonymous), validated };
+}
+
+// Submitters get a private edit token once; only its hash is stored
+function hashEditToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Fragment, not query string, so the token stays out of server logs and Referer headers
+function getEditPath(submission, token) {
+  return `/edit.html#id=${encodeURIComponent(submission.id)}&token=${encodeURIComponent(token)}`;
+}
+
+// Submission as returned by the API, without the edit token hash
+function publicSubmission(submission) {
+  const { editTokenHash, ...rest } = submission;
+  return rest;
+}
+
+// POST endpoint to receive form submissions
+// Bots filling every field fill this one too; it's hidden from people (see index.html)
+const HONEYPOT_FIELD = "website";
+
+app.post("/submit", limitByIp(submitLimiter), verifyCsrf, (req, res) => {
+  if (req.body && req.body[HONEYPOT_FIELD]) {
+    return sendSubmitError(req, res, 400, "Invalid submission");
+  }
+  const submissionWindow = getSubmissionWindow(campaign, getNow(req));
+  if (submissionWindow.status === "upcoming") {
+    return sendSubmitError(req, res, 403, `Submissions open on ${submissionWindow.opensAt}`);
+  }
+  if (submissionWindow.status === "closed") {
+    return sendSubmitError(req, res, 403, `Submissions closed on ${submissionWindow.closesAt}`);
+  }
+
+  const form = parseSubmissionForm(req.body);
+  if (form.error) {
+    return sendSubmitError(req, res, form.status, form.error, form.details);
+  }
+
+  const editToken = crypto.randomBytes(24).toString("base64url");
+  let submission = null;
+  let warnings = [];
+  updateSubmissions((existing) => {
+    const deduped = findDuplicates(form.validated, form.name, existing);
+    warnings = deduped.warnings;
+    submission = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: form.name,
+      anonymous: form.anonymous,
+      videos: deduped.videos,
+      banger: form.validated.banger,
+      notes: form.validated.notes,
+      createdAt: new Date().toISOString(),
+      editTokenHash: hashEditToken(editToken)
+    };
+    return existing.concat(submission);
+  });
+
+  const editUrl = getEditPath(submission, editToken);
+  enrichInBackground(submission.videos.concat(submission.banger || []));
+
+  // For form submission from browser, redirect to a simple thank-you page carrying the edit link
+  if (wantsHtml(req)) {
+    const query = warnings.length ? `?duplicates=${warnings.length}` : "";
+    return res.redirect(303, `/thank-you.html${query}#id=${encodeURIComponent(submission.id)}&token=${encodeURIComponent(editToken)}`);
   }
+
+  return res.status(201).json({
+    ok: true,
+    submission: publicSubmission(submission),
+    warnings,
+    editToken,
+    editUrl,
+    editableUntil: campaign.submissionDeadline
+  });
 });
 
-// Health endpoint
-app.get("/health", (_req, res) => {
-  res.json({ ok: true });
+// Submitter self-service: the edit token from POST /submit, as "Authorization: Bearer <token>"
+// or ?token=, unlocks reading, replacing and deleting that one submission until the deadline.
+function getEditToken(req) {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) return header.slice(7).trim();
+  return typeof req.query.token === "string" ? req.query.token : "";
+}
+
+function requireEditToken(req, res, next) {
+  const token = getEditToken(req);
+  const submission = token ? readSubmissions().find((s) => s.id === req.params.id) : null;
+  // Same answer for unknown ids and wrong tokens so ids can't be probed
+  if (!submission || !submission.editTokenHash || !safeEqual(hashEditToken(token), submission.editTokenHash)) {
+    return res.status(404).json({ error: "Submission not found or invalid edit token" });
+  }
+  req.submission = submission;
+  return next();
+}
+
+function isEditingClosed(req) {
+  return getSubmissionWindow(campaign, getNow(req)).status === "closed";
+}
+
+function sendEditingClosed(res) {
+  return res.status(403).json({
+    error: `Submissions can no longer be changed since ${campaign.submissionDeadline}`,
+    editableUntil: campaign.submissionDeadline
+  });
+}
+
+app.get("/api/submissions/:id", requireEditToken, (req, res) => {
+  res.json({
+    submission: publicSubmission(req.submission),
+    editableUntil: campaign.submissionDeadline,
+    editable: !isEditingClosed(req)
+  });
 });
 
-// URL shortener redirect endpoint (catch-all for short codes, must be after all specific routes)
-app.get("/:shortCode", (req, res) => {
-  const { shortCode } = req.params;
-  
-  // Try to get the full URL from the short code
-  const fullUrl = getFullUrl(shortCode);
-  
-  if (fullUrl) {
-    // Redirect to the full URL
-    return res.redirect(302, fullUrl);
-  } else {
-    // Short code not found, redirect to home page
-    return res.redirect(302, "/");
+app.put("/api/submissions/:id", requireEditToken, (req, res) => {
+  if (isEditingClosed(req)) {
+    return sendEditingClosed(res);
   }
+  const form = parseSubmissionForm(req.body);
+  if (form.error) {
+    return res.status(form.status).json(form.details ? { error: form.error, details: form.details } : { error: form.error });
+  }
+
+  let submission = null;
+  let warnings = [];
+  updateSubmissions((submissions) => {
+    const index = submissions.findIndex((s) => s.id === req.params.id);
+    if (index === -1) return undefined;
+    const deduped = findDuplicates(form.validated, form.name, submissions, req.params.id);
+    warnings = deduped.warnings;
+    submission = {
+      ...submissions[index],
+      name: form.name,
+      anonymous: form.anonymous,
+      videos: deduped.videos,
+      banger: form.validated.banger,
+      notes: form.validated.notes,
+      updatedAt: new Date().toISOString()
+    };
+    return submissions.map((s, i) => (i === index ? submission : s));
+  });
+
+  if (!submission) {
+    return res.status(404).json({ error: "Submission not found or invalid edit token" });
+  }
+  enrichInBackground(submission.videos.concat(submission.banger || []));
+  return res.json({ ok: true, submission: publicSubmission(submission), warnings });
+});
+
+app.delete("/api/submissions/:id", requireEditToken, (req, res) => {
+  if (isEditingClosed(req)) {
+    return sendEditingClosed(res);
+  }
+  updateSubmissions((submissions) => submissions.filter((s) => s.id !== req.params.id));
+  return res.json({ ok: true });
+});
+
+// Serve the generated calendar JSON with date-based filtering
+// Calendar as the public sees it at a given time: locked days are REDACTED. Shared by
+// /api/calendar and the exports so they follow the same unlocking rules.
+function getPublicCalendar(calendarData, now) {
+  // Filter calendar data based on the campaign dates
+  const filtered = {};
+  const metadataByUrl = metadata.getMany(getCalendarUrls(calendarData));
+  const attributions = indexTrackAttributions(readSubmissions());
+
+  for (let day = 1; day <= campaign.days; day++) {
+    const dayStr = String(day);
+    const dayData = calendarData[dayStr];
+    
+    if (!dayData) {
+      // Day doesn't exist in calendar, mark as REDACTED
+      filtered[dayStr] = [{ url: "REDACTED" }];
+      continue;
+    }
+    
+    // Past and current days of the campaign are accessible, and all of them once it's over
+    if (isDayUnlocked(campaign, day, now)) {
+      // Return actual data (last day already includes all bangers from calendar generation)
+      const hideNames = gameEnabled && getGuessingStatus(getDayWindow(campaign, day), now) === "open";
+      filtered[dayStr] = sanitizeDayData(dayData, { metadataByUrl, attributions, hideNames });
+    } else {
+      // Return REDACTED placeholder
+      filtered[dayStr] = [{ url: "REDACTED" }];
+    }
+  }
+  return filtered;
+}
+
+app.get("/api/calendar", (req, res) => {
+  try {
+    const calendarData = readCalendar();
+    if (!calendarData) {
+      return res.status(404).json({ error: "calendar.json not found. Generate it first." });
+    }
+    return res.json(getPublicCalendar(calendarData, getNow(req)));
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to read calendar.json" });
+  }
+});
+
+// Every unlocked entry in day order as a playlist file (see lib/playlist-export.js)
+app.get("/api/calendar/export", (req, res) => {
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+  }
+  const calendarData = readCalendar();
+  if (!calendarData) {
+    return res.status(404).json({ error: "calendar.json not found. Generate it first." });
+  }
+
+  const tracks = [];
+  for (const [day, entries] of Object.entries(getPublicCalendar(calendarData, getNow(req)))) {
+    entries
+      .filter((entry) => entry.url && entry.url !== "REDACTED")
+      .forEach((entry, index) => {
+        tracks.push({
+          day: Number(day),
+          position: index + 1,
+          url: entry.url,
+          title: entry.title || null,
+          artist: entry.artist || null,
+          duration: entry.duration || null,
+          submitterName: entry.submitterName,
+          note: entry.note,
+        });
+      });
+  }
+  tracks.sort((a, b) => a.day - b.day || a.position - b.position);
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.set("Content-Type", contentType);
+  res.attachment(`tonpere-${campaign.year}.${extension}`);
+  return res.send(renderPlaylist(format, tracks, `Ton père de l'avent ${campaign.year}`));
+});
+
+// Days of the feeds (see lib/feeds.js), from the same public calendar as /api/calendar:
+// songs of locked days are never included, and songs link through their short links.
+// Codes are only read here (see ensureCalendarShortLinks): a song without a valid one, e.g.
+// expired through SHORT_LINK_TTL_DAYS, links to its URL directly.
+function getFeedDays(calendarData, now) {
+  const publicCalendar = getPublicCalendar(calendarData, now);
+  const urls = Object.values(publicCalendar)
+    .flat()
+    .map((entry) => entry.url)
+    .filter((url) => url !== "REDACTED");
+  const codes = urls.length ? shortLinks.findCodes(urls) : {};
+
+  return Object.entries(publicCalendar).map(([dayStr, entries]) => {
+    const day = Number(dayStr);
+    const { opensAt } = getDayWindow(campaign, day);
+    const tracks = entries
+      .filter((entry) => entry.url !== "REDACTED")
+      .map((entry) => ({
+        url: entry.url,
+        shortUrl: codes[entry.url] ? `${siteUrl}/${codes[entry.url]}` : entry.url,
+        title: entry.title || null,
+        artist: entry.artist || null,
+        submitterName: entry.submitterName,
+        hidden: Boolean(entry.hidden),
+        note: entry.note,
+      }));
+    return {
+      day,
+      date: getDateInTimezone(campaign.timezone, new Date(opensAt)),
+      opensAt,
+      unlocked: isDayUnlocked(campaign, day, now),
+      pageUrl: getDayUrl(day),
+      tracks,
+    };
+  });
+}
+
+function sendFeed(req, res, contentType, render) {
+  const calendarData = readCalendar();
+  if (!calendarData) {
+    return res.status(404).json({ error: "calendar.json not found. Generate it first." });
+  }
+  const now = getNow(req);
+  res.set("Content-Type", contentType);
+  return res.send(render(getFeedDays(calendarData, now), now));
+}
+
+app.get("/feed.xml", (req, res) =>
+  sendFeed(req, res, "application/atom+xml; charset=utf-8", (days) =>
+    renderAtomFeed(days, { title: `Ton père de l'avent ${campaign.year}`, siteUrl, feedUrl: `${siteUrl}/feed.xml` })
+  )
+);
+
+app.get("/calendar.ics", (req, res) =>
+  sendFeed(req, res, "text/calendar; charset=utf-8", (days, now) =>
+    renderIcsCalendar(days, { title: `Ton père de l'avent ${campaign.year}`, siteUrl, now })
+  )
+);
+
+// Shareable page of a day: the calendar page, which opens that day's modal (or shows its
+// countdown while it's locked). The Open Graph tags are rendered here so link previews in
+// group chats show the day and its number of songs without running any script.
+function renderDayPage(day, now) {
+  const { opensAt } = getDayWindow(campaign, day);
+  const unlocked = isDayUnlocked(campaign, day, now);
+  const calendarData = unlocked ? readCalendar() : null;
+  const count = calendarData
+    ? getPublicCalendar(calendarData, now)[String(day)].filter((entry) => entry.url !== "REDACTED").length
+    : 0;
+
+  const title = `Jour ${day} - Ton père de l'avent ${campaign.year}`;
+  let description;
+  if (!unlocked) {
+    const date = new Date(opensAt).toLocaleDateString("fr-FR", { day: "numeric", month: "long", timeZone: campaign.timezone });
+    description = `🎁 Ouverture le ${date}, encore un peu de patience !`;
+  } else if (count) {
+    description = `🎄 ${count} son${count > 1 ? "s" : ""} à écouter`;
+  } else {
+    description = "🎄 Le calendrier arrive bientôt";
+  }
+
+  const tags = [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    `<link rel="canonical" href="${escapeHtml(getDayUrl(day))}">`,
+    `<meta property="og:type" content="website">`,
+    `<meta property="og:site_name" content="Ton père de l'avent">`,
+    `<meta property="og:locale" content="fr_FR">`,
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    `<meta property="og:description" content="${escapeHtml(description)}">`,
+    `<meta property="og:url" content="${escapeHtml(getDayUrl(day))}">`,
+    `<meta property="og:image" content="${escapeHtml(`${siteUrl}/favicon.png`)}">`,
+    `<meta name="twitter:card" content="summary">`,
+  ];
+  return fs
+    .readFileSync(path.join(publicDir, "calendar.html"), "utf8")
+    .replace(/<title>.*<\/title>/, tags.join("\n  "))
+    .replace('<body class="calendar-page">', `<body class="calendar-page" data-day="${day}" data-opens-at="${opensAt}">`);
+}
+
+app.get("/jour/:day", (req, res) => {
+  const day = parseCalendarDay(req.params.day);
+  if (!day) {
+    return sendMessagePage(res, 404, "Jour introuvable", `<p>Le calendrier va du jour 1 au jour ${campaign.days}.</p>`);
+  }
+  return res.type("html").send(renderDayPage(day, getNow(req)));
+});
+
+// Campaign dates and where we are in it, for the page countdowns
+app.get("/api/campaign", (req, res) => {
+  const now = getNow(req);
+  res.json({
+    year: campaign.year,
+    days: campaign.days,
+    timezone: campaign.timezone,
+    startDate: campaign.startDate,
+    endDate: campaign.endDate,
+    submissionDeadline: campaign.submissionDeadline,
+    now: now.toISOString(),
+    ...getCampaignState(campaign, now),
+    submissions: getSubmissionWindow(campaign, now),
+  });
+});
+
+// Guessing game: who submitted this song? (see lib/game.js)
+// Players join with a name and get a token, sent back as "Authorization: Bearer <token>".
+// GUESSING_GAME=off disables it, and names then show as soon as a day unlocks.
+const gameEnabled = process.env.GUESSING_GAME !== "off";
+
+function readPlayers() {
+  return storage.read("game-players", []);
+}
+
+function readGuesses() {
+  return storage.read("game-guesses", {});
+}
+
+function findPlayer(req) {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!token) return null;
+  const tokenHash = hashSecret(token);
+  return readPlayers().find((player) => safeEqual(tokenHash, player.tokenHash)) || null;
+}
+
+function requireGame(_req, res, next) {
+  if (!gameEnabled) {
+    return res.status(404).json({ error: "The guessing game is disabled" });
+  }
+  return next();
+}
+
+function requirePlayer(req, res, next) {
+  req.player = findPlayer(req);
+  if (!req.player) {
+    return res.status(401).json({ error: "Join the game first (missing or invalid player token)" });
+  }
+  return next();
+}
+
+// Day number from the URL, null when it isn't a campaign day
+function parseCalendarDay(value) {
+  const day = Number(value);
+  return Number.isInteger(day) && day >= 1 && day <= campaign.days ? day : null;
+}
+
+// Credits of every entry of a day, see getEntryCredit
+function getDayAnswers(calendarData, day, attributions) {
+  const entries = Array.isArray(calendarData && calendarData[String(day)]) ? calendarData[String(day)] : [];
+  return entries.map((entry) => getEntryCredit(entry, attributions)).filter((answer) => answer.url && answer.url !== "REDACTED");
+}
+
+// Names players can pick from: every submitter who isn't anonymous, except the player
+function getCandidates(submissions, player) {
+  const playerKey = player ? getSubmitterKey(player.name) : null;
+  const names = new Map();
+  for (const submission of submissions) {
+    const key = getSubmitterKey(submission.name);
+    if (submission.anonymous || !key || key === playerKey || names.has(key)) continue;
+    names.set(key, cleanSubmitterName(submission.name));
+  }
+  return Array.from(names.values()).sort((a, b) => a.localeCompare(b, "fr"));
+}
+
+function publicPlayer(player) {
+  return { id: player.id, name: player.name, createdAt: player.createdAt };
+}
+
+// True when an edit link (/edit.html#id=...&token=..., as given after submitting) belongs to a
+// submission made under this name. Playing as a submitter takes that proof: whoever claims the
+// name gets their songs left out of the game.
+function ownsSubmitterName(editLink, submissions, key) {
+  const fragment = String(editLink || "").split("#")[1] || "";
+  const params = new URLSearchParams(fragment);
+  const token = params.get("token");
+  const submission = token ? submissions.find((s) => s.id === params.get("id")) : null;
+  return Boolean(
+    submission
+    && submission.editTokenHash
+    && getSubmitterKey(submission.name) === key
+    && safeEqual(hashEditToken(token), submission.editTokenHash)
+  );
+}
+
+app.post("/api/game/players", requireGame, (req, res) => {
+  const name = cleanSubmitterName(req.body && typeof req.body.name === "string" ? req.body.name : "");
+  if (!name) {
+    return res.status(400).json({ error: "Name is required" });
+  }
+  if (name.length > PLAYER_NAME_MAX_LENGTH) {
+    return res.status(400).json({ error: `Name must be at most ${PLAYER_NAME_MAX_LENGTH} characters` });
+  }
+  const submissions = readSubmissions();
+  const key = getSubmitterKey(name);
+  if (submissions.some((s) => getSubmitterKey(s.name) === key) && !ownsSubmitterName(req.body.editLink, submissions, key)) {
+    return res.status(403).json({ error: `${name} proposed songs: send the edit link of one of their submissions as editLink to play under this name` });
+  }
+
+  const token = generatePlayerToken();
+  let player = null;
+  storage.update("game-players", [], (players) => {
+    if (players.some((p) => getSubmitterKey(p.name) === key)) return undefined;
+    player = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      tokenHash: hashSecret(token),
+      createdAt: new Date().toISOString(),
+    };
+    return players.concat(player);
+  });
+  if (!player) {
+    return res.status(409).json({ error: `Someone already plays as ${name}` });
+  }
+  return res.status(201).json({ ok: true, player: publicPlayer(player), token });
+});
+
+app.get("/api/game/me", requireGame, requirePlayer, (req, res) => {
+  res.json({ player: publicPlayer(req.player) });
+});
+
+// A day of the game for the current player (if any): tracks to guess, candidates and the
+// player's guesses while it's open; answers and score once it's revealed
+app.get("/api/game/days/:day", requireGame, (req, res) => {
+  const day = parseCalendarDay(req.params.day);
+  if (!day) {
+    return res.status(404).json({ error: "Unknown day" });
+  }
+  const now = getNow(req);
+  const dayWindow = getDayWindow(campaign, day);
+  const status = getGuessingStatus(dayWindow, now);
+  if (status === "locked") {
+    return res.json({ day, status, ...dayWindow });
+  }
+
+  const player = findPlayer(req);
+  const submissions = readSubmissions();
+  const answers = getDayAnswers(readCalendar(), day, indexTrackAttributions(submissions));
+  const guesses = player ? (readGuesses()[player.id] || {})[String(day)] || {} : {};
+  const guessable = new Set(getGuessableTracks(answers, player).map((answer) => answer.url));
+
+  if (status === "open") {
+    return res.json({
+      day,
+      status,
+      ...dayWindow,
+      candidates: getCandidates(submissions, player),
+      tracks: answers.map((answer) => ({
+        url: answer.url,
+        guessable: guessable.has(answer.url),
+        guess: guesses[answer.url] || null,
+      })),
+    });
+  }
+
+  const score = scoreDay(answers, guesses, player);
+  const results = new Map(score.results.map((result) => [result.url, result]));
+  return res.json({
+    day,
+    status,
+    ...dayWindow,
+    points: player ? score.points : null,
+    total: score.total,
+    tracks: answers.map((answer) => ({
+      url: answer.url,
+      guessable: guessable.has(answer.url),
+      answer: answer.anonymous ? null : answer.submitterName,
+      guess: results.has(answer.url) ? results.get(answer.url).guess : null,
+      correct: results.has(answer.url) ? results.get(answer.url).correct : null,
+    })),
+  });
+});
+
+// Body: { guesses: { "<url>": "<name>" } }, an empty name withdraws a guess.
+// Only accepted while the day is open; guesses for other tracks of the day are kept.
+app.put("/api/game/days/:day/guesses", requireGame, requirePlayer, (req, res) => {
+  const day = parseCalendarDay(req.params.day);
+  if (!day) {
+    return res.status(404).json({ error: "Unknown day" });
+  }
+  const dayWindow = getDayWindow(campaign, day);
+  const status = getGuessingStatus(dayWindow, getNow(req));
+  if (status === "locked") {
+    return res.status(403).json({ error: `Day ${day} isn't unlocked yet`, ...dayWindow });
+  }
+  if (status === "revealed") {
+    return res.status(403).json({ error: `Guesses for day ${day} closed on ${dayWindow.closesAt}`, ...dayWindow });
+  }
+
+  const input = req.body && typeof req.body.guesses === "object" && req.body.guesses !== null ? req.body.guesses : null;
+  if (!input || Array.isArray(input)) {
+    return res.status(400).json({ error: "guesses must be an object of url -> name" });
+  }
+
+  const submissions = readSubmissions();
+  const answers = getDayAnswers(readCalendar(), day, indexTrackAttributions(submissions));
+  const guessable = new Set(getGuessableTracks(answers, req.player).map((answer) => answer.url));
+  const candidates = new Map(getCandidates(submissions, req.player).map((name) => [getSubmitterKey(name), name]));
+  const changes = {};
+  const details = [];
+  for (const [url, value] of Object.entries(input)) {
+    const name = typeof value === "string" ? value : "";
+    if (!guessable.has(url)) {
+      details.push({ url, error: "not_guessable", message: "This track can't be guessed on this day" });
+    } else if (name && !candidates.has(getSubmitterKey(name))) {
+      details.push({ url, error: "unknown_name", message: `${name} didn't submit anything` });
+    } else {
+      changes[url] = name ? candidates.get(getSubmitterKey(name)) : null;
+    }
+  }
+  if (details.length > 0) {
+    return res.status(400).json({ error: "Some guesses are invalid", details });
+  }
+
+  let guesses = {};
+  storage.update("game-guesses", {}, (doc) => {
+    const byDay = doc[req.player.id] || {};
+    guesses = { ...(byDay[String(day)] || {}) };
+    for (const [url, name] of Object.entries(changes)) {
+      if (name) guesses[url] = name;
+      else delete guesses[url];
+    }
+    return { ...doc, [req.player.id]: { ...byDay, [String(day)]: guesses } };
+  });
+  return res.json({ ok: true, day, guesses });
+});
+
+// Season ranking over every revealed day
+app.get("/api/game/leaderboard", requireGame, (req, res) => {
+  const now = getNow(req);
+  const calendarData = readCalendar();
+  const attributions = indexTrackAttributions(readSubmissions());
+  const answersByDay = {};
+  for (let day = 1; day <= campaign.days; day++) {
+    if (getGuessingStatus(getDayWindow(campaign, day), now) === "revealed") {
+      answersByDay[String(day)] = getDayAnswers(calendarData, day, attributions);
+    }
+  }
+  res.json({
+    revealedDays: Object.keys(answersByDay).length,
+    players: buildLeaderboard(readPlayers(), readGuesses(), answersByDay),
+  });
+});
+
+// Reactions and comment threads on the tracks of unlocked days (see lib/feedback.js).
+// A random visitor id cookie tells who reacted; comments are signed with a nickname cookie.
+const VISITOR_COOKIE = "tp_visitor";
+const NICKNAME_COOKIE = "tp_nickname";
+const COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+const commentLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 5 });
+const reactionLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 30 });
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (err) {
+      // Ignore cookies that aren't ours and aren't URI-encoded
+    }
+  }
+  return cookies;
+}
+
+function getVisitor(req) {
+  const cookies = parseCookies(req);
+  const id = /^[\w-]{16,64}$/.test(cookies[VISITOR_COOKIE] || "") ? cookies[VISITOR_COOKIE] : null;
+  return { id, nickname: cleanNickname(cookies[NICKNAME_COOKIE]) };
+}
+
+function cookieOptions(req, httpOnly) {
+  return { httpOnly, sameSite: "lax", secure: req.secure, maxAge: COOKIE_MAX_AGE_MS };
+}
+
+// Visitor id of the request, created (and set as a cookie) on first use
+function ensureVisitorId(req, res) {
+  const { id } = getVisitor(req);
+  if (id) return id;
+  const newId = crypto.randomBytes(16).toString("base64url");
+  res.cookie(VISITOR_COOKIE, newId, cookieOptions(req, true));
+  return newId;
+}
+
+// CSRF protection of the submission form (double submit): the same random token in an httpOnly
+// cookie and in the form's _csrf field (or an X-CSRF-Token header). The form page is rendered
+// with it; scripts get one from GET /api/csrf-token. The /api routes are covered by the
+// same-origin check on writes instead (see isSameOriginRequest).
+const CSRF_COOKIE = "tp_csrf";
+const CSRF_FIELD = "_csrf";
+
+function ensureCsrfToken(req, res) {
+  const existing = parseCookies(req)[CSRF_COOKIE];
+  if (/^[\w-]{32}$/.test(existing || "")) return existing;
+  const token = crypto.randomBytes(24).toString("base64url");
+  res.cookie(CSRF_COOKIE, token, cookieOptions(req, true));
+  return token;
+}
+
+function verifyCsrf(req, res, next) {
+  const expected = parseCookies(req)[CSRF_COOKIE];
+  const submitted = (req.body && req.body[CSRF_FIELD]) || req.get("X-CSRF-Token");
+  if (!expected || typeof submitted !== "string" || !safeEqual(expected, submitted)) {
+    return sendSubmitError(req, res, 403, "Invalid or missing CSRF token, reload the form");
+  }
+  return next();
+}
+
+app.get("/api/csrf-token", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ token: ensureCsrfToken(req, res), field: CSRF_FIELD });
+});
+
+// Answers 429 and returns false when the key went over the limiter's budget
+function checkRateLimit(req, res, limiter, key) {
+  const { allowed, retryAfter } = limiter.hit(key);
+  if (allowed) return true;
+  res.set("Retry-After", String(retryAfter));
+  sendHttpError(req, res, 429, "Too many requests, try again later");
+  return false;
+}
+
+function readComments() {
+  return storage.read("track-comments", []);
+}
+
+// Calendar day of a track if that day is unlocked, else null
+function findUnlockedTrackDay(url, now) {
+  const calendarData = readCalendar() || {};
+  for (let day = 1; day <= campaign.days; day++) {
+    const entries = Array.isArray(calendarData[String(day)]) ? calendarData[String(day)] : [];
+    if (entries.some((entry) => entry && entry.url === url)) {
+      return isDayUnlocked(campaign, day, now) ? day : null;
+    }
+  }
+  return null;
+}
+
+app.get("/api/nickname", (req, res) => {
+  res.json({ nickname: getVisitor(req).nickname });
+});
+
+app.put("/api/nickname", (req, res) => {
+  const nickname = cleanNickname(req.body && req.body.nickname);
+  if (!nickname) {
+    return res.status(400).json({ error: "Nickname must be 1 to 30 characters" });
+  }
+  ensureVisitorId(req, res);
+  res.cookie(NICKNAME_COOKIE, nickname, cookieOptions(req, false));
+  return res.json({ ok: true, nickname });
+});
+
+// Reactions and threads of every track of an unlocked day
+app.get("/api/calendar/:day/feedback", (req, res) => {
+  const day = parseCalendarDay(req.params.day);
+  if (!day) {
+    return res.status(404).json({ error: "Unknown day" });
+  }
+  if (!isDayUnlocked(campaign, day, getNow(req))) {
+    return res.status(403).json({ error: `Day ${day} isn't unlocked yet` });
+  }
+  const visitor = getVisitor(req);
+  const entries = ((readCalendar() || {})[String(day)] || []).filter((entry) => entry && entry.url && entry.url !== "REDACTED");
+  const reactions = storage.read("track-reactions", {});
+  const comments = readComments();
+  const tracks = {};
+  for (const { url } of entries) {
+    tracks[url] = {
+      reactions: summarizeReactions(reactions[url], visitor.id),
+      comments: buildThread(comments.filter((comment) => comment.url === url), visitor.id),
+    };
+  }
+  return res.json({ day, reactions: REACTIONS, nickname: visitor.nickname, tracks });
+});
+
+// Body: { url, emoji }; adds the visitor's reaction or takes it back
+app.post("/api/tracks/reactions", (req, res) => {
+  const { url, emoji } = req.body || {};
+  if (!REACTIONS.includes(emoji)) {
+    return res.status(400).json({ error: `emoji must be one of ${REACTIONS.join(" ")}` });
+  }
+  if (typeof url !== "string" || !findUnlockedTrackDay(url, getNow(req))) {
+    return res.status(404).json({ error: "Track not found in the unlocked days" });
+  }
+  const visitorId = ensureVisitorId(req, res);
+  if (!checkRateLimit(req, res, reactionLimiter, visitorId) || !checkRateLimit(req, res, reactionLimiter, req.ip)) return undefined;
+
+  let reactions = {};
+  storage.update("track-reactions", {}, (doc) => {
+    reactions = toggleReaction(doc[url], emoji, visitorId);
+    return { ...doc, [url]: reactions };
+  });
+  return res.json({ url, ...summarizeReactions(reactions, visitorId) });
+});
+
+// Body: { url, text, parentId? }; needs a nickname (PUT /api/nickname)
+app.post("/api/tracks/comments", (req, res) => {
+  const { url, text, parentId } = req.body || {};
+  const visitor = getVisitor(req);
+  if (!visitor.id || !visitor.nickname) {
+    return res.status(400).json({ error: "Choose a nickname first" });
+  }
+  const day = typeof url === "string" ? findUnlockedTrackDay(url, getNow(req)) : null;
+  if (!day) {
+    return res.status(404).json({ error: "Track not found in the unlocked days" });
+  }
+  const cleanText = cleanCommentText(text);
+  if (!cleanText) {
+    return res.status(400).json({ error: "Comment must be 1 to 500 characters" });
+  }
+  if (!checkRateLimit(req, res, commentLimiter, visitor.id) || !checkRateLimit(req, res, commentLimiter, req.ip)) return undefined;
+
+  let comment = null;
+  storage.update("track-comments", [], (comments) => {
+    if (parentId && !comments.some((c) => c.id === parentId && c.url === url)) return undefined;
+    comment = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      url,
+      day,
+      parentId: parentId || null,
+      nickname: visitor.nickname,
+      visitorId: visitor.id,
+      text: cleanText,
+      createdAt: new Date().toISOString(),
+      removedAt: null,
+      removedBy: null,
+    };
+    return comments.concat(comment);
+  });
+  if (!comment) {
+    return res.status(400).json({ error: "The comment this replies to doesn't exist on this track" });
+  }
+  return res.status(201).json({ ok: true, comment: buildThread([comment], visitor.id)[0] });
+});
+
+// Authors can take their own comments down
+app.delete("/api/tracks/comments/:id", (req, res) => {
+  const visitor = getVisitor(req);
+  let found = false;
+  storage.update("track-comments", [], (comments) => {
+    const index = comments.findIndex((c) => c.id === req.params.id && visitor.id && c.visitorId === visitor.id && !c.removedAt);
+    if (index === -1) return undefined;
+    found = true;
+    return comments.map((c, i) => (i === index ? { ...c, removedAt: new Date().toISOString(), removedBy: "author" } : c));
+  });
+  if (!found) {
+    return res.status(404).json({ error: "Comment not found" });
+  }
+  return res.json({ ok: true });
+});
+
+// Viewed days synced across devices (see lib/progress.js). The visitor cookie identifies the
+// device; a pairing code attaches another device to the same profile.
+const pairingCodeLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 5 });
+const pairingAttemptLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 10 });
+
+function updateProgress(mutator) {
+  return storage.update("progress", {}, (doc) => mutator(normalizeProgress(doc)));
+}
+
+// Profile of a device, created when missing: returns the updated document and the profile id
+function attachProfile(doc, visitorId) {
+  const existing = doc.devices[visitorId];
+  if (existing && doc.profiles[existing]) return { doc, profileId: existing };
+  const profileId = crypto.randomBytes(12).toString("base64url");
+  const now = new Date().toISOString();
+  return {
+    doc: {
+      ...doc,
+      profiles: { ...doc.profiles, [profileId]: { days: [], createdAt: now, updatedAt: now } },
+      devices: { ...doc.devices, [visitorId]: profileId },
+    },
+    profileId,
+  };
+}
+
+function describeProgress(doc, profileId) {
+  const profile = doc.profiles[profileId];
+  return {
+    days: profile ? profile.days : [],
+    devices: Object.values(doc.devices).filter((id) => id === profileId).length,
+  };
+}
+
+app.get("/api/progress", (req, res) => {
+  const { id } = getVisitor(req);
+  const doc = normalizeProgress(storage.read("progress", {}));
+  res.json(describeProgress(doc, id ? doc.devices[id] : null));
+});
+
+// Body: { days: [1, 2, ...] } as opened on this device; answers the union with the profile's days
+app.put("/api/progress", (req, res) => {
+  const days = req.body && Array.isArray(req.body.days) ? req.body.days : null;
+  if (!days) {
+    return res.status(400).json({ error: "days must be an array of day numbers" });
+  }
+  const now = getNow(req);
+  const visitorId = ensureVisitorId(req, res);
+  let result = null;
+  updateProgress((current) => {
+    const { doc, profileId } = attachProfile(current, visitorId);
+    const profile = doc.profiles[profileId];
+    // Only days that can have been opened count, so the friends counter can't be inflated ahead
+    const merged = mergeDays(profile.days, days, (day) => isDayUnlocked(campaign, day, now));
+    const next = { ...doc, profiles: { ...doc.profiles, [profileId]: { ...profile, days: merged, updatedAt: new Date().toISOString() } } };
+    result = describeProgress(next, profileId);
+    return next;
+  });
+  return res.json(result);
+});
+
+// Short-lived code to type on another device
+app.post("/api/progress/pairing-code", (req, res) => {
+  const visitorId = ensureVisitorId(req, res);
+  if (!checkRateLimit(req, res, pairingCodeLimiter, visitorId)) return undefined;
+  const code = generatePairingCode();
+  const expiresAt = new Date(Date.now() + PAIRING_CODE_TTL_MS).toISOString();
+  updateProgress((current) => {
+    const { doc, profileId } = attachProfile(current, visitorId);
+    return { ...doc, pairingCodes: { ...pruneCodes(doc.pairingCodes), [hashSecret(code)]: { profileId, expiresAt } } };
+  });
+  return res.status(201).json({ code, expiresAt });
+});
+
+// Body: { code }; moves this device to the profile the code was made for, keeping its days
+app.post("/api/progress/pair", (req, res) => {
+  if (!checkRateLimit(req, res, pairingAttemptLimiter, req.ip)) return undefined;
+  const code = normalizePairingCode(req.body && req.body.code);
+  if (!code) {
+    return res.status(400).json({ error: "Pairing codes are 6 letters or digits" });
+  }
+  const visitorId = ensureVisitorId(req, res);
+  const codeHash = hashSecret(code);
+  let result = null;
+  updateProgress((doc) => {
+    const pairingCodes = pruneCodes(doc.pairingCodes);
+    const entry = pairingCodes[codeHash];
+    if (!entry || !doc.profiles[entry.profileId]) return undefined;
+    const { [codeHash]: _used, ...remainingCodes } = pairingCodes;
+
+    const target = doc.profiles[entry.profileId];
+    const previousId = doc.devices[visitorId];
+    const previous = previousId && previousId !== entry.profileId ? doc.profiles[previousId] : null;
+    const profiles = {
+      ...doc.profiles,
+      [entry.profileId]: { ...target, days: mergeDays(target.days, previous ? previous.days : []), updatedAt: new Date().toISOString() },
+    };
+    const devices = { ...doc.devices, [visitorId]: entry.profileId };
+    // A profile no device uses anymore would count twice in the friends counter
+    if (previous && !Object.values(devices).includes(previousId)) delete profiles[previousId];
+
+    const next = { profiles, devices, pairingCodes: remainingCodes };
+    result = describeProgress(next, entry.profileId);
+    return next;
+  });
+  if (!result) {
+    return res.status(404).json({ error: "Unknown or expired pairing code" });
+  }
+  return res.json({ ok: true, ...result });
+});
+
+// How many friends (profiles) opened each unlocked day
+app.get("/api/progress/stats", (req, res) => {
+  const now = getNow(req);
+  const { profiles } = normalizeProgress(storage.read("progress", {}));
+  const counts = countOpenedDays(profiles);
+  const openedBy = {};
+  for (let day = 1; day <= campaign.days; day++) {
+    if (isDayUnlocked(campaign, day, now)) openedBy[day] = counts[day] || 0;
+  }
+  res.json({ profiles: Object.keys(profiles).length, openedBy });
+});
+
+// Self-service SMS subscription from the calendar page:
+// POST /api/subscribe sends a one-time code, POST /api/subscribe/confirm activates the number.
+function sendSms(phone, text) {
+  return notifiers.sms.send(phone, { subject: "Ton père de l'avent", text, html: null });
+}
+
+// Each code is a paid SMS: a few per IP, and only to the countries the family lives in
+const subscribeLimiter = createRateLimiter({ windowMs: 10 * 60 * 1000, max: 3 });
+const smsCountryCodes = (process.env.SMS_COUNTRY_CODES || "+33")
+  .split(",")
+  .map((code) => code.trim())
+  .filter(Boolean);
+
+app.post("/api/subscribe", async (req, res) => {
+  if (!checkRateLimit(req, res, subscribeLimiter, req.ip)) return undefined;
+  const phone = normalizePhoneNumber(req.body && req.body.phone);
+  if (!phone) {
+    return res.status(400).json({ error: "Phone number must be in international format, e.g. +33612345678" });
+  }
+  if (!smsCountryCodes.some((code) => phone.startsWith(code))) {
+    return res.status(400).json({ error: `Only numbers starting with ${smsCountryCodes.join(", ")} can subscribe` });
+  }
+  if (!notifiers.sms.configured) {
+    return res.status(503).json({ error: "SMS subscriptions are not available right now" });
+  }
+
+  const code = generateConfirmationCode();
+  const now = Date.now();
+  let refusal = null;
+  updateSubscribers((subscribers) => {
+    const existing = subscribers.find((s) => s.phone === phone);
+    if (existing && existing.status === "active") {
+      refusal = { status: 409, error: "This number is already subscribed" };
+      return undefined;
+    }
+    if (existing && existing.codeSentAt && now - new Date(existing.codeSentAt).getTime() < CODE_RESEND_DELAY_MS) {
+      refusal = { status: 429, error: "A code was just sent, wait a minute before asking for another one" };
+      return undefined;
+    }
+    // An unsubscribed number keeps its status until the new code is confirmed
+    const subscriber = {
+      ...(existing || newSubscriber(phone, { source: "self-service" })),
+      codeHash: hashSecret(code),
+      codeSentAt: new Date(now).toISOString(),
+      codeExpiresAt: new Date(now + CODE_TTL_MS).toISOString(),
+      codeAttempts: 0,
+    };
+    return subscribers.filter((s) => s.phone !== phone).concat(subscriber);
+  });
+  if (refusal) {
+    if (refusal.status === 429) res.set("Retry-After", String(CODE_RESEND_DELAY_MS / 1000));
+    return res.status(refusal.status).json({ error: refusal.error });
+  }
+
+  try {
+    await sendSms(phone, `Ton code pour recevoir le calendrier de l'avent : ${code} (valable 10 minutes)`);
+  } catch (err) {
+    console.error(`Failed to send confirmation code to ${phone}:`, err.message);
+    return res.status(502).json({ error: "Could not send the confirmation SMS" });
+  }
+  return res.json({ ok: true, phone, expiresAt: new Date(now + CODE_TTL_MS).toISOString() });
+});
+
+app.post("/api/subscribe/confirm", (req, res) => {
+  const phone = normalizePhoneNumber(req.body && req.body.phone);
+  const code = typeof (req.body && req.body.code) === "string" ? req.body.code.trim() : "";
+  if (!phone || !/^\d{6}$/.test(code)) {
+    return res.status(400).json({ error: "Phone number and 6-digit code are required" });
+  }
+
+  let outcome = null;
+  updateSubscribers((subscribers) => {
+    const index = subscribers.findIndex((s) => s.phone === phone);
+    const subscriber = subscribers[index];
+    if (!subscriber || !subscriber.codeHash || new Date(subscriber.codeExpiresAt) < new Date()) {
+      outcome = { status: 400, error: "No pending code for this number, ask for a new one" };
+      return undefined;
+    }
+    if (subscriber.codeAttempts >= MAX_CODE_ATTEMPTS) {
+      outcome = { status: 429, error: "Too many wrong codes, ask for a new one" };
+      return undefined;
+    }
+    if (!safeEqual(hashSecret(code), subscriber.codeHash)) {
+      outcome = { status: 400, error: "Wrong code" };
+      return subscribers.map((s, i) => (i === index ? { ...s, codeAttempts: s.codeAttempts + 1 } : s));
+    }
+    const { codeHash, codeExpiresAt, codeAttempts, ...rest } = subscriber;
+    const confirmed = { ...rest, status: "active", confirmedAt: new Date().toISOString(), unsubscribedAt: null };
+    outcome = { subscriber: confirmed };
+    return subscribers.map((s, i) => (i === index ? confirmed : s));
+  });
+
+  if (outcome.error) {
+    return res.status(outcome.status).json({ error: outcome.error });
+  }
+  const unsubscribeUrl = getUnsubscribeUrl(outcome.subscriber);
+  sendSms(phone, `C'est bon, tu recevras les sons chaque jour ! STOP ou ${unsubscribeUrl} pour te désinscrire`).catch((err) => {
+    console.error(`Failed to send welcome SMS to ${phone}:`, err.message);
+  });
+  return res.json({ ok: true, unsubscribeUrl });
+});
+
+// Push notifications, the free alternative to SMS: the calendar page (public/push.js) subscribes
+// through its service worker and the daily job pushes to every subscription.
+// Endpoints must be on a known push service (see parsePushSubscription); plain http:// ones are
+// accepted in development, for scripts/mock-push-server.js. Same per-IP limit as /api/subscribe.
+const pushSubscriptionLimiter = createRateLimiter({ windowMs: 10 * 60 * 1000, max: 3 });
+const allowInsecurePushEndpoints = process.env.NODE_ENV === "development";
+
+function requirePush(_req, res, next) {
+  if (!process.env.VAPID_PUBLIC_KEY || !notifiers.push.configured) {
+    return res.status(503).json({ error: "Push notifications are not configured" });
+  }
+  return next();
+}
+
+app.get("/api/push/public-key", requirePush, (_req, res) => {
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+});
+
+app.post("/api/push/subscriptions", requirePush, (req, res) => {
+  if (!checkRateLimit(req, res, pushSubscriptionLimiter, req.ip)) return undefined;
+  const parsed = parsePushSubscription(req.body, { allowInsecure: allowInsecurePushEndpoints });
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const { endpoint, keys } = parsed.subscription;
+  const id = getPushSubscriptionId(endpoint);
+  let created = false;
+  updatePushSubscriptions((subscriptions) => {
+    const existing = subscriptions.find((s) => s.id === id);
+    if (existing) {
+      // Same browser again, possibly with new keys
+      return subscriptions.map((s) => (s === existing ? { ...s, keys } : s));
+    }
+    created = true;
+    return subscriptions.concat({ id, endpoint, keys, createdAt: new Date().toISOString() });
+  });
+  return res.status(created ? 201 : 200).json({ ok: true });
+});
+
+app.delete("/api/push/subscriptions", (req, res) => {
+  const endpoint = req.body && typeof req.body.endpoint === "string" ? req.body.endpoint : "";
+  if (!endpoint) {
+    return res.status(400).json({ error: "endpoint is required" });
+  }
+  const id = getPushSubscriptionId(endpoint);
+  updatePushSubscriptions((subscriptions) =>
+    subscriptions.some((s) => s.id === id) ? subscriptions.filter((s) => s.id !== id) : undefined
+  );
+  return res.json({ ok: true });
+});
+
+function unsubscribe(phone) {
+  let changed = false;
+  updateSubscribers((subscribers) => {
+    const existing = subscribers.find((s) => s.phone === phone);
+    if (existing && existing.status === "unsubscribed") return undefined;
+    changed = true;
+    const subscriber = { ...(existing || newSubscriber(phone, { source: "sms" })), status: "unsubscribed", unsubscribedAt: new Date().toISOString() };
+    return subscribers.filter((s) => s.phone !== phone).concat(subscriber);
+  });
+  return changed;
+}
+
+// Small standalone page for the unsubscribe link
+function sendMessagePage(res, status, title, body) {
+  return res.status(status).type("html").send(`<!doctype html>
+<html lang="fr">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="/style.css">
+</head>
+<body>
+  <div class="card">
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+    <p><a href="/">Retour au calendrier</a></p>
+  </div>
+</body>
+</html>`);
+}
+
+function findSubscriberByToken(token) {
+  if (typeof token !== "string" || !token) return null;
+  return readSubscribers().find((s) => s.unsubscribeToken && safeEqual(s.unsubscribeToken, token)) || null;
+}
+
+// GET only shows a button: link previews in messaging apps must not unsubscribe anyone
+app.get("/unsubscribe", (req, res) => {
+  const subscriber = findSubscriberByToken(req.query.token);
+  if (!subscriber) {
+    return sendMessagePage(res, 404, "Lien invalide", "<p>Ce lien de désinscription n'existe pas.</p>");
+  }
+  if (subscriber.status === "unsubscribed") {
+    return sendMessagePage(res, 200, "Déjà désinscrit", "<p>Tu ne reçois plus les SMS.</p>");
+  }
+  return sendMessagePage(res, 200, "Se désinscrire", `<p>Ne plus recevoir les SMS du calendrier ?</p>
+    <form method="POST" action="/unsubscribe">
+      <input type="hidden" name="token" value="${escapeHtml(subscriber.unsubscribeToken)}">
+      <button type="submit">Me désinscrire</button>
+    </form>`);
+});
+
+app.post("/unsubscribe", (req, res) => {
+  const subscriber = findSubscriberByToken(req.body && req.body.token);
+  if (!subscriber) {
+    return sendMessagePage(res, 404, "Lien invalide", "<p>Ce lien de désinscription n'existe pas.</p>");
+  }
+  unsubscribe(subscriber.phone);
+  return sendMessagePage(res, 200, "Désinscrit", "<p>C'est noté, tu ne recevras plus de SMS.</p>");
+});
+
+// Inbound SMS from Twilio (configure the number's messaging webhook to PUBLIC_URL/webhooks/twilio/sms).
+// Requests are authenticated with the X-Twilio-Signature header; STOP opts out, START opts back in.
+app.post("/webhooks/twilio/sms", (req, res) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    return res.status(503).json({ error: "TWILIO_AUTH_TOKEN is not configured" });
+  }
+  const signature = req.get("X-Twilio-Signature") || "";
+  if (!twilio.validateRequest(authToken, signature, `${siteUrl}${req.originalUrl}`, req.body || {})) {
+    return res.status(403).json({ error: "Invalid Twilio signature" });
+  }
+
+  const phone = normalizePhoneNumber(req.body.From);
+  const keyword = parseSmsKeyword(req.body.Body);
+  if (phone && keyword === "stop") {
+    if (unsubscribe(phone)) console.log(`${phone} unsubscribed by SMS`);
+  } else if (phone && keyword === "start") {
+    let resubscribed = false;
+    updateSubscribers((subscribers) => {
+      const existing = subscribers.find((s) => s.phone === phone);
+      // Only numbers that had confirmed at some point come back
+      if (!existing || existing.status !== "unsubscribed" || !existing.confirmedAt) return undefined;
+      resubscribed = true;
+      return subscribers.map((s) => (s === existing ? { ...s, status: "active", unsubscribedAt: null } : s));
+    });
+    if (resubscribed) console.log(`${phone} subscribed again by SMS`);
+  }
+
+  // Empty TwiML: Twilio sends its own STOP/START confirmations
+  return res.type("text/xml").send("<Response></Response>");
+});
+
+// Admin area
+// Protected by HTTP Basic auth (any username, ADMIN_PASSWORD) or a bearer token (ADMIN_TOKEN).
+// The username given to Basic auth is recorded as the actor in the audit log.
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function getAdminActor(req) {
+  const adminPassword = process.env.ADMIN_PASSWORD;
+  const adminToken = process.env.ADMIN_TOKEN;
+  const header = req.headers.authorization || "";
+
+  if (adminToken && header.startsWith("Bearer ")) {
+    if (safeEqual(header.slice(7).trim(), adminToken)) {
+      const actor = typeof req.headers["x-admin-user"] === "string" ? req.headers["x-admin-user"].trim() : "";
+      return actor || "token";
+    }
+    return null;
+  }
+
+  if (adminPassword && header.startsWith("Basic ")) {
+    const decoded = Buffer.from(header.slice(6).trim(), "base64").toString("utf-8");
+    const separator = decoded.indexOf(":");
+    if (separator === -1) return null;
+    const user = decoded.slice(0, separator).trim();
+    const password = decoded.slice(separator + 1);
+    if (safeEqual(password, adminPassword)) {
+      return user || "admin";
+    }
+  }
+
+  return null;
+}
+
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_PASSWORD && !process.env.ADMIN_TOKEN) {
+    return res.status(503).json({ error: "Admin area disabled. Set ADMIN_PASSWORD or ADMIN_TOKEN." });
+  }
+  const actor = getAdminActor(req);
+  if (!actor) {
+    res.set("WWW-Authenticate", 'Basic realm="tonpere admin", charset="UTF-8"');
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  req.adminActor = actor;
+  return next();
+}
+
+function readAuditLog() {
+  return storage.read("admin-audit-log", []);
+}
+
+function recordAudit(req, action, target, details = {}) {
+  storage.update("admin-audit-log", [], (log) =>
+    log.concat({
+      at: new Date().toISOString(),
+      actor: req.adminActor,
+      ip: req.ip,
+      action,
+      target,
+      details,
+    })
+  );
+}
+
+// Run scripts/generate-calendar.js in a child process so a failure can't take the server down.
+// Metadata is fetched here afterwards rather than in the child, which has a time limit.
+function runCalendarGeneration(args = []) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [generateCalendarScript, ...args, "--no-metadata"], { cwd: __dirname, timeout: 60000 }, (err, stdout, stderr) => {
+      if (!err) {
+        enrichInBackground(getCalendarUrls(readCalendar()));
+        ensureCalendarShortLinks();
+      }
+      resolve({ ok: !err, stdout: stdout.trim(), stderr: stderr.trim() });
+    });
+  });
+}
+
+app.get("/admin", requireAdmin, (_req, res) => {
+  res.sendFile(path.join(viewsDir, "admin.html"));
+});
+
+app.get("/api/admin/submissions", requireAdmin, (_req, res) => {
+  res.json(readSubmissions().map(publicSubmission));
+});
+
+app.put("/api/admin/submissions/:id", requireAdmin, (req, res) => {
+  const { name, videos, banger, anonymous } = req.body;
+  const changes = {};
+  let notes = null;
+
+  if (name !== undefined) {
+    const trimmedName = cleanSubmitterName(typeof name === "string" ? name : "");
+    if (!trimmedName) {
+      return res.status(400).json({ error: "Name is required" });
+    }
+    changes.name = trimmedName;
+  }
+  if (anonymous !== undefined) {
+    changes.anonymous = parseCheckbox(anonymous);
+  }
+  if (videos !== undefined || banger !== undefined) {
+    const videoLines = videos === undefined ? [] : splitLines(Array.isArray(videos) ? videos.join("\n") : videos);
+    if (videos !== undefined && videoLines.length === 0) {
+      return res.status(400).json({ error: "Please provide at least one YouTube link" });
+    }
+    const validated = validateSubmissionLinks(videoLines, banger === undefined ? null : splitLines(banger)[0]);
+    if (validated.details.length > 0) {
+      return res.status(400).json({ error: "Some links are not supported", details: validated.details });
+    }
+    if (videos !== undefined) changes.videos = validated.videos;
+    if (banger !== undefined) changes.banger = validated.banger;
+    notes = validated.notes;
+  }
+
+  let before = null;
+  let submission = null;
+  updateSubmissions((submissions) => {
+    const index = submissions.findIndex((s) => s.id === req.params.id);
+    if (index === -1) return undefined;
+    before = submissions[index];
+    submission = { ...before, ...changes, updatedAt: new Date().toISOString() };
+    if (notes) {
+      // Notes of the fields that were sent are replaced, the others are kept
+      const kept = Object.entries(before.notes || {}).filter(([url]) =>
+        videos === undefined ? submission.videos.includes(url) : banger === undefined && url === submission.banger);
+      submission.notes = { ...Object.fromEntries(kept), ...notes };
+    }
+    return submissions.map((s, i) => (i === index ? submission : s));
+  });
+
+  if (!submission) {
+    return res.status(404).json({ error: "Submission not found" });
+  }
+
+  recordAudit(req, "submission.update", submission.id, {
+    before: { name: before.name, anonymous: Boolean(before.anonymous), videos: before.videos, banger: before.banger, notes: before.notes || {} },
+    after: { name: submission.name, anonymous: Boolean(submission.anonymous), videos: submission.videos, banger: submission.banger, notes: submission.notes || {} },
+  });
+  return res.json({ ok: true, submission: publicSubmission(submission) });
+});
+
+app.delete("/api/admin/submissions/:id", requireAdmin, (req, res) => {
+  let removed = null;
+  updateSubmissions((submissions) => {
+    removed = submissions.find((s) => s.id === req.params.id) || null;
+    return removed ? submissions.filter((s) => s !== removed) : undefined;
+  });
+  if (!removed) {
+    return res.status(404).json({ error: "Submission not found" });
+  }
+  recordAudit(req, "submission.delete", removed.id, { removed: publicSubmission(removed) });
+  return res.json({ ok: true });
+});
+
+app.get("/api/admin/phone-numbers", requireAdmin, (_req, res) => {
+  res.json(readPhoneNumbers());
+});
+
+// Adding a number here skips the confirmation code, except for numbers that opted out
+app.post("/api/admin/phone-numbers", requireAdmin, (req, res) => {
+  const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+  if (!phoneNumber) {
+    return res.status(400).json({ error: "Phone number must include the country code, e.g. +33612345678" });
+  }
+  let conflict = null;
+  updateSubscribers((subscribers) => {
+    const existing = subscribers.find((s) => s.phone === phoneNumber);
+    if (existing && existing.status !== "pending") {
+      conflict = existing.status === "active" ? "Phone number already registered" : "This number unsubscribed, it has to subscribe again itself";
+      return undefined;
+    }
+    const subscriber = newSubscriber(phoneNumber, { status: "active", source: "admin", confirmedAt: new Date().toISOString() });
+    return subscribers.filter((s) => s.phone !== phoneNumber).concat(subscriber);
+  });
+  if (conflict) {
+    return res.status(409).json({ error: conflict });
+  }
+  recordAudit(req, "phone.add", phoneNumber);
+  return res.status(201).json({ ok: true, phoneNumbers: readPhoneNumbers() });
+});
+
+app.delete("/api/admin/phone-numbers/:phoneNumber", requireAdmin, (req, res) => {
+  const { phoneNumber } = req.params;
+  let removed = false;
+  updateSubscribers((subscribers) => {
+    removed = subscribers.some((s) => s.phone === phoneNumber && s.status === "active");
+    return removed ? subscribers.filter((s) => s.phone !== phoneNumber) : undefined;
+  });
+  if (!removed) {
+    return res.status(404).json({ error: "Phone number not found" });
+  }
+  recordAudit(req, "phone.delete", phoneNumber);
+  return res.json({ ok: true, phoneNumbers: readPhoneNumbers() });
+});
+
+// Recipients with a preferred channel (see readRecipients)
+// Push subscriptions come from browsers (see /api/push), not from the admin
+const RECIPIENT_CHANNELS = CHANNELS.filter((channel) => channel !== "push");
+
+// Returns { recipient } with normalized fields, or { error } when the body is invalid.
+function parseRecipient(body, current = {}) {
+  const pick = (field) => (body[field] === undefined ? current[field] : typeof body[field] === "string" ? body[field].trim() : "");
+  const recipient = {
+    name: cleanSubmitterName(pick("name") || ""),
+    channel: pick("channel") || "sms",
+    phone: (pick("phone") || "").replace(/[\s.-]/g, ""),
+    email: pick("email") || "",
+    webhookUrl: pick("webhookUrl") || "",
+  };
+
+  if (!recipient.name) {
+    return { error: "Name is required" };
+  }
+  if (!RECIPIENT_CHANNELS.includes(recipient.channel)) {
+    return { error: `Channel must be one of ${RECIPIENT_CHANNELS.join(", ")}` };
+  }
+  if (recipient.phone && !/^\+[1-9]\d{6,14}$/.test(recipient.phone)) {
+    return { error: "Phone number must include the country code, e.g. +33612345678" };
+  }
+  if (recipient.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipient.email)) {
+    return { error: "Invalid email address" };
+  }
+  if (recipient.webhookUrl) {
+    let url = null;
+    try {
+      url = new URL(recipient.webhookUrl);
+    } catch (err) {
+      url = null;
+    }
+    if (!url || url.protocol !== "https:") {
+      return { error: "Webhook URL must be an https:// URL" };
+    }
+  }
+  if (!recipient[CHANNEL_FIELDS[recipient.channel]]) {
+    return { error: `Missing ${CHANNEL_FIELDS[recipient.channel]} for the ${recipient.channel} channel` };
+  }
+  return { recipient };
+}
+
+app.get("/api/admin/recipients", requireAdmin, (_req, res) => {
+  res.json({
+    recipients: readRecipients(),
+    channels: Object.fromEntries(Object.entries(notifiers).map(([channel, n]) => [channel, { configured: n.configured, missing: n.missing }])),
+  });
+});
+
+app.post("/api/admin/recipients", requireAdmin, (req, res) => {
+  const parsed = parseRecipient(req.body || {});
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const recipient = { id: crypto.randomUUID(), ...parsed.recipient, createdAt: new Date().toISOString() };
+  updateRecipients((recipients) => recipients.concat(recipient));
+  recordAudit(req, "recipient.add", recipient.id, { recipient });
+  return res.status(201).json({ ok: true, recipient });
+});
+
+app.put("/api/admin/recipients/:id", requireAdmin, (req, res) => {
+  let result = null;
+  updateRecipients((recipients) => {
+    const index = recipients.findIndex((r) => r.id === req.params.id);
+    if (index === -1) return undefined;
+    const parsed = parseRecipient(req.body || {}, recipients[index]);
+    if (parsed.error) {
+      result = parsed;
+      return undefined;
+    }
+    result = { recipient: { ...recipients[index], ...parsed.recipient, updatedAt: new Date().toISOString() } };
+    return recipients.map((r, i) => (i === index ? result.recipient : r));
+  });
+
+  if (!result) {
+    return res.status(404).json({ error: "Recipient not found" });
+  }
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  recordAudit(req, "recipient.update", result.recipient.id, { recipient: result.recipient });
+  return res.json({ ok: true, recipient: result.recipient });
+});
+
+app.delete("/api/admin/recipients/:id", requireAdmin, (req, res) => {
+  let removed = null;
+  updateRecipients((recipients) => {
+    removed = recipients.find((r) => r.id === req.params.id) || null;
+    return removed ? recipients.filter((r) => r !== removed) : undefined;
+  });
+  if (!removed) {
+    return res.status(404).json({ error: "Recipient not found" });
+  }
+  recordAudit(req, "recipient.delete", removed.id, { removed });
+  return res.json({ ok: true });
+});
+
+// Delivery report for a day (?date=YYYY-MM-DD, default today in the campaign timezone)
+app.get("/api/admin/deliveries", requireAdmin, (req, res) => {
+  const date = typeof req.query.date === "string" && req.query.date ? req.query.date : getCampaignDateKey(getNow(req));
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  }
+  return res.json(buildDeliveryReport(readDeliveryLog(), date));
+});
+
+app.get("/api/admin/calendar", requireAdmin, (_req, res) => {
+  const calendarData = readCalendar();
+  if (!calendarData) {
+    return res.status(404).json({ error: "calendar.json not found. Generate it first." });
+  }
+  return res.json(calendarData);
+});
+
+app.post("/api/admin/calendar/regenerate", requireAdmin, async (req, res) => {
+  const args = [];
+  const days = parseInt(req.body.days, 10);
+  if (Number.isFinite(days) && days > 0) {
+    args.push(`--days=${days}`);
+  }
+  if (req.body.incremental === true || req.body.incremental === "true") {
+    args.push("--incremental");
+  }
+  const seed = typeof req.body.seed === "string" ? req.body.seed.trim() : "";
+  if (seed) {
+    if (!/^[\w-]{1,64}$/.test(seed)) {
+      return res.status(400).json({ error: "Seed may only contain letters, digits, - and _" });
+    }
+    args.push(`--seed=${seed}`);
+  }
+  const result = await runCalendarGeneration(args);
+  recordAudit(req, "calendar.regenerate", "calendar.json", { args, ok: result.ok, output: result.ok ? result.stdout : result.stderr });
+  if (!result.ok) {
+    return res.status(500).json({ error: result.stderr || "Calendar generation failed" });
+  }
+  return res.json({ ok: true, output: result.stdout });
+});
+
+// Short links and their clicks
+app.get("/api/admin/short-links", requireAdmin, (_req, res) => {
+  const links = shortLinks.list();
+  const urlDays = getUrlDays();
+  const stats = summarizeClicks(storage.read("short-link-clicks", []), links, urlDays, campaign.timezone);
+  const clicksByCode = new Map(stats.perLink.map((entry) => [entry.code, entry.clicks]));
+  res.json(
+    Object.entries(links).map(([code, entry]) => ({
+      code,
+      ...entry,
+      day: urlDays.get(entry.url) || null,
+      expired: isShortLinkExpired(entry),
+      clicks: clicksByCode.get(code) || 0,
+    }))
+  );
+});
+
+app.get("/api/admin/short-links/stats", requireAdmin, (_req, res) => {
+  res.json(summarizeClicks(storage.read("short-link-clicks", []), shortLinks.list(), getUrlDays(), campaign.timezone));
+});
+
+// Human-readable alias: body { alias: "jour12", url } where url is a link or a path on the site
+app.post("/api/admin/short-links", requireAdmin, (req, res) => {
+  const { alias, url } = req.body || {};
+  let entry = null;
+  try {
+    entry = shortLinks.addAlias(typeof alias === "string" ? alias.trim() : "", typeof url === "string" ? url.trim() : "");
+  } catch (err) {
+    return res.status(/already used/.test(err.message) ? 409 : 400).json({ error: err.message });
+  }
+  recordAudit(req, "short-link.alias", alias, { url: entry.url });
+  return res.status(201).json({ ok: true, code: alias.trim(), ...entry });
+});
+
+// Body: { expiresAt: ISO date or null to never expire }
+app.put("/api/admin/short-links/:code", requireAdmin, (req, res) => {
+  const { expiresAt } = req.body || {};
+  if (expiresAt !== null && (typeof expiresAt !== "string" || Number.isNaN(Date.parse(expiresAt)))) {
+    return res.status(400).json({ error: "expiresAt must be an ISO date or null" });
+  }
+  const entry = shortLinks.setExpiry(req.params.code, expiresAt ? new Date(expiresAt).toISOString() : null);
+  if (!entry) {
+    return res.status(404).json({ error: "Short link not found" });
+  }
+  recordAudit(req, "short-link.update", req.params.code, { expiresAt: entry.expiresAt });
+  return res.json({ ok: true, code: req.params.code, ...entry });
+});
+
+app.delete("/api/admin/short-links/:code", requireAdmin, (req, res) => {
+  const removed = shortLinks.remove(req.params.code);
+  if (!removed) {
+    return res.status(404).json({ error: "Short link not found" });
+  }
+  recordAudit(req, "short-link.delete", req.params.code, { removed });
+  return res.json({ ok: true });
+});
+
+// Comment moderation: every comment newest first, removed ones included
+app.get("/api/admin/comments", requireAdmin, (_req, res) => {
+  res.json(readComments().slice().reverse());
+});
+
+// Hide (DELETE) or restore (POST .../restore) a comment; replies stay visible
+function moderateComment(req, res, removed) {
+  let comment = null;
+  storage.update("track-comments", [], (comments) => {
+    const index = comments.findIndex((c) => c.id === req.params.id);
+    if (index === -1) return undefined;
+    comment = {
+      ...comments[index],
+      removedAt: removed ? new Date().toISOString() : null,
+      removedBy: removed ? req.adminActor : null,
+    };
+    return comments.map((c, i) => (i === index ? comment : c));
+  });
+  if (!comment) {
+    return res.status(404).json({ error: "Comment not found" });
+  }
+  recordAudit(req, removed ? "comment.remove" : "comment.restore", comment.id, {
+    url: comment.url,
+    nickname: comment.nickname,
+    text: comment.text,
+  });
+  return res.json({ ok: true, comment });
+}
+
+app.delete("/api/admin/comments/:id", requireAdmin, (req, res) => moderateComment(req, res, true));
+
+app.post("/api/admin/comments/:id/restore", requireAdmin, (req, res) => moderateComment(req, res, false));
+
+app.get("/api/admin/audit-log", requireAdmin, (_req, res) => {
+  res.json(readAuditLog().slice().reverse());
+});
+
+// Health endpoint
+app.get("/health", (_req, res) => {
+  res.json({ ok: true });
+});
+
+// URL shortener redirect endpoint (catch-all for short codes, must be after all specific routes)
+app.get("/:shortCode", (req, res) => {
+  const { shortCode } = req.params;
+  
+  // Try to get the full URL from the short code; reserved names are never looked up
+  const entry = CODE_PATTERN.test(shortCode) && !isReservedPath(shortCode) ? shortLinks.resolve(shortCode) : null;
+  
+  if (!entry) {
+    // Unknown code or a mistyped page: a real 404 rather than a silent redirect
+    return sendMessagePage(res, 404, "Page introuvable", `<p>Ce lien n'existe pas (ou plus).</p>`);
+  }
+  if (isShortLinkExpired(entry)) {
+    return sendMessagePage(res, 410, "Lien expiré", `<p>Ce lien n'est plus valable, retrouve tous les sons sur le calendrier.</p>`);
+  }
+
+  // Redirect to the full URL
+  recordClick(req, shortCode);
+  return res.redirect(302, entry.url);
+});
+
+// Anything no route answered, then errors: bodies over BODY_LIMIT, malformed JSON and
+// whatever a route threw, all through sendHttpError
+app.use((req, res) => sendHttpError(req, res, 404, "Not found"));
+
+app.use((err, req, res, _next) => {
+  const status = err.status >= 400 && err.status < 600 ? err.status : 500;
+  let error = "Internal server error";
+  if (err.type === "entity.too.large" || err.type === "parameters.too.many") error = "Request body too large";
+  else if (err.type === "entity.parse.failed") error = "Malformed request body";
+  else if (status < 500 && err.expose) error = err.message;
+  if (status >= 500) console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  if (res.headersSent) return res.end();
+  return sendHttpError(req, res, status, error);
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
   // eslint-disable-next-line no-console
-  console.log(`Server running on http://localhost:${port}`);
+  console.log(`Server running on http://localhost:${server.address().port}`);
 });
 
 
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { assertPublishedDaysUnchanged, generateCalendar } from "../lib/calendar-generator.js";
+import { getPlatform, getTrackKey } from "../public/music-links.js";
+
+const PLATFORM_URLS = [
+  (n) => `https://www.youtube.com/watch?v=${String(n).padStart(11, "y")}`,
+  (n) => `https://open.spotify.com/track/${String(n).padStart(22, "s")}`,
+  (n) => `https://www.deezer.com/track/${1000 + n}`,
+];
+
+let nextTrack = 0;
+
+// One submission per name with that many links, without bangers. platforms: how many
+// platforms the links rotate through.
+function makeSubmissions(counts, { platforms = 1 } = {}) {
+  return Object.entries(counts).map(([name, count]) => ({
+    id: name,
+    name,
+    videos: Array.from({ length: count }, (_, index) => PLATFORM_URLS[index % platforms](nextTrack++)),
+    banger: "",
+  }));
+}
+
+// Every day has 3 links from 3 different people and no track shows up twice
+function assertValid(calendar, days) {
+  assert.equal(Object.keys(calendar).length, days);
+  const tracks = new Set();
+  for (let day = 1; day <= days; day++) {
+    const entries = calendar[String(day)];
+    assert.equal(entries.length, 3, `day ${day}`);
+    assert.equal(new Set(entries.map((entry) => entry.submitterName)).size, 3, `day ${day}`);
+    entries.forEach((entry) => tracks.add(getTrackKey(entry.url)));
+  }
+  assert.equal(tracks.size, days * 3);
+}
+
+test("the same seed gives the same calendar", () => {
+  const submissions = makeSubmissions({ Ada: 5, Bob: 5, Cleo: 5, Dan: 5, Eve: 5 });
+  const first = generateCalendar(submissions, { days: 6, seed: "2025" });
+  const second = generateCalendar(submissions, { days: 6, seed: "2025" });
+  assert.equal(JSON.stringify(first), JSON.stringify(second));
+  assert.notEqual(JSON.stringify(generateCalendar(submissions, { days: 6, seed: "2026" })), JSON.stringify(first));
+  assertValid(first, 6);
+});
+
+// Taking the least used submitters first (the old greedy pass) spends Cleo, Dan and Eve on
+// one day, leaving only Ada and Bob for the others
+test("finds the schedule when only one exists", () => {
+  const submissions = makeSubmissions({ Ada: 3, Bob: 3, Cleo: 1, Dan: 1, Eve: 1 });
+  for (const seed of ["a", "b", "c", "d", "e", "f", "g", "h"]) {
+    const calendar = generateCalendar(submissions, { days: 3, seed });
+    assertValid(calendar, 3);
+    for (let day = 1; day <= 3; day++) {
+      const names = calendar[String(day)].map((entry) => entry.submitterName);
+      assert.ok(names.includes("Ada") && names.includes("Bob"), `day ${day} with seed ${seed}`);
+    }
+  }
+});
+
+test("spreads the days evenly between submitters", () => {
+  const submissions = makeSubmissions({ Ada: 20, Bob: 20, Cleo: 20, Dan: 2, Eve: 20, Fay: 20 });
+  const calendar = generateCalendar(submissions, { days: 10, seed: "fair" });
+  assertValid(calendar, 10);
+  const counts = {};
+  Object.values(calendar).flat().forEach((entry) => {
+    counts[entry.submitterName] = (counts[entry.submitterName] || 0) + 1;
+  });
+  // Both of Dan's links are used, the 28 other slots go 6/6/6/5/5
+  assert.equal(counts.Dan, 2);
+  const others = ["Ada", "Bob", "Cleo", "Eve", "Fay"].map((name) => counts[name]).sort();
+  assert.deepEqual(others, [5, 5, 6, 6, 6]);
+});
+
+test("names the missing capacity when no schedule exists", () => {
+  // Plenty of links, but Ada can only fill one slot a day
+  const submissions = makeSubmissions({ Ada: 9, Bob: 3, Cleo: 2 });
+  assert.throws(
+    () => generateCalendar(submissions, { days: 3, seed: "x" }),
+    /No valid schedule exists for 3 days: with one link per submitter per day, only 8 of the 9 slots can be filled/
+  );
+});
+
+test("--distinct-platforms and --no-consecutive are respected", () => {
+  const submissions = makeSubmissions({ Ada: 6, Bob: 6, Cleo: 6, Dan: 6, Eve: 6, Fay: 6 }, { platforms: 3 });
+  const calendar = generateCalendar(submissions, { days: 8, seed: "rules", distinctPlatforms: true, noConsecutive: true });
+  assertValid(calendar, 8);
+  for (let day = 1; day <= 8; day++) {
+    const entries = calendar[String(day)];
+    assert.equal(new Set(entries.map((entry) => getPlatform(entry.url))).size, 3, `day ${day}`);
+    if (day > 1) {
+      const yesterday = new Set(calendar[String(day - 1)].map((entry) => entry.submitterName));
+      assert.ok(entries.every((entry) => !yesterday.has(entry.submitterName)), `day ${day}`);
+    }
+  }
+});
+
+test("names the constraint when it can't be met", () => {
+  // Three people for every day: someone is always on two days in a row
+  const submissions = makeSubmissions({ Ada: 4, Bob: 4, Cleo: 4 });
+  assert.throws(
+    () => generateCalendar(submissions, { days: 2, seed: "x", noConsecutive: true }),
+    /No valid schedule exists for 2 days with --no-consecutive/
+  );
+});
+
+test("--incremental keeps the published days and checks they didn't move", () => {
+  const submissions = makeSubmissions({ Ada: 6, Bob: 6, Cleo: 6, Dan: 6 });
+  const published = generateCalendar(submissions, { days: 6, seed: "first" });
+  const regenerated = generateCalendar(submissions, { days: 6, seed: "second", published, lockedDays: 3 });
+
+  assertValid(regenerated, 6);
+  for (let day = 1; day <= 3; day++) {
+    assert.deepEqual(regenerated[String(day)], published[String(day)]);
+  }
+  assert.doesNotThrow(() => assertPublishedDaysUnchanged(published, regenerated, 3));
+
+  const reshuffled = generateCalendar(submissions, { days: 6, seed: "second" });
+  assert.throws(() => assertPublishedDaysUnchanged(published, reshuffled, 3), /day \d is already published and would change/);
+  assert.throws(() => generateCalendar(submissions, { days: 6, seed: "x", published, lockedDays: 6 }), /All 6 days are already published/);
+});
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+import {
+  createClock,
+  getCampaignState,
+  getDayWindow,
+  getRequestTime,
+  isDayUnlocked,
+  loadCampaignConfig,
+  zonedTimeToDate,
+} from "../lib/campaign.js";
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "tonpere-campaign-"));
+
+after(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+let configCount = 0;
+
+// Campaign loaded from a config/campaign.json with these fields
+function campaignWith(config) {
+  configCount++;
+  const configPath = path.join(configDir, `campaign-${configCount}.json`);
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return loadCampaignConfig(configPath);
+}
+
+test("zonedTimeToDate follows the Paris offset on both sides of a DST change", () => {
+  assert.equal(zonedTimeToDate("2025-03-30", "Europe/Paris").toISOString(), "2025-03-29T23:00:00.000Z");
+  // 03:00 is the first minute of summer time that morning
+  assert.equal(zonedTimeToDate("2025-03-30", "Europe/Paris", 3, 0).toISOString(), "2025-03-30T01:00:00.000Z");
+  assert.equal(zonedTimeToDate("2025-10-26", "Europe/Paris").toISOString(), "2025-10-25T22:00:00.000Z");
+  assert.equal(zonedTimeToDate("2025-10-27", "Europe/Paris").toISOString(), "2025-10-26T23:00:00.000Z");
+  assert.equal(zonedTimeToDate("2025-12-01", "Europe/Paris", 10, 0).toISOString(), "2025-12-01T09:00:00.000Z");
+});
+
+test("a day window crossing the end of summer time lasts 25 hours", () => {
+  const campaign = campaignWith({ year: 2025, startDate: "10-25", days: 3, timezone: "Europe/Paris" });
+  assert.deepEqual(getDayWindow(campaign, 1), { opensAt: "2025-10-24T22:00:00.000Z", closesAt: "2025-10-25T22:00:00.000Z" });
+  const day2 = getDayWindow(campaign, 2);
+  assert.deepEqual(day2, { opensAt: "2025-10-25T22:00:00.000Z", closesAt: "2025-10-26T23:00:00.000Z" });
+  assert.equal(new Date(day2.closesAt) - new Date(day2.opensAt), 25 * 60 * 60 * 1000);
+
+  // 23:00 UTC on the 26th is midnight of the 27th in Paris, back on winter time
+  assert.equal(isDayUnlocked(campaign, 3, new Date("2025-10-26T22:59:00Z")), false);
+  assert.equal(isDayUnlocked(campaign, 3, new Date("2025-10-26T23:00:00Z")), true);
+});
+
+test("days unlock at midnight in a timezone other than Paris", () => {
+  const newYork = campaignWith({ year: 2026, startDate: "11-01", days: 2, timezone: "America/New_York" });
+  // US summer time ends on November 1st 2026
+  assert.deepEqual(getDayWindow(newYork, 1), { opensAt: "2026-11-01T04:00:00.000Z", closesAt: "2026-11-02T05:00:00.000Z" });
+  assert.equal(getCampaignState(newYork, new Date("2026-11-01T03:59:00Z")).status, "before");
+  assert.equal(getCampaignState(newYork, new Date("2026-11-01T04:00:00Z")).today, 1);
+
+  const auckland = campaignWith({ year: 2025, startDate: "12-01", days: 24, timezone: "Pacific/Auckland" });
+  const now = new Date("2025-11-30T12:00:00Z");
+  const state = getCampaignState(auckland, now);
+  assert.equal(state.date, "2025-12-01");
+  assert.equal(state.today, 1);
+  assert.equal(state.startsAt, "2025-11-30T11:00:00.000Z");
+  // Same instant, still November in Paris
+  const paris = campaignWith({ year: 2025, startDate: "12-01", days: 24, timezone: "Europe/Paris" });
+  assert.equal(getCampaignState(paris, now).status, "before");
+});
+
+test("the submission deadline defaults to day 1 at midnight in the campaign timezone", () => {
+  const campaign = campaignWith({ year: 2025, startDate: "12-01", days: 24, timezone: "Asia/Tokyo" });
+  assert.equal(campaign.submissionDeadline, "2025-11-30T15:00:00.000Z");
+  assert.throws(() => campaignWith({ year: 2025, startDate: "12-01", days: 24, timezone: "Mars/Olympus" }), /Invalid campaign timezone/);
+});
+
+test("SIMULATE_DATE starts the clock at a wall-clock time of the campaign timezone", () => {
+  const campaign = campaignWith({ year: 2025, startDate: "12-01", days: 24, timezone: "Europe/Paris" });
+  const clock = createClock(campaign, "2025-12-07T09:30");
+  assert.equal(clock.simulated, true);
+  const drift = clock.now() - new Date("2025-12-07T08:30:00Z");
+  assert.ok(drift >= 0 && drift < 1000, `clock is ${drift} ms off`);
+  assert.equal(getCampaignState(campaign, clock.now()).today, 7);
+
+  assert.equal(createClock(campaign, undefined).simulated, false);
+  assert.throws(() => createClock(campaign, "07/12/2025"), /Invalid SIMULATE_DATE/);
+});
+
+test("?simulateDate is only honoured when the override is allowed (development)", () => {
+  const campaign = campaignWith({ year: 2025, startDate: "12-01", days: 24, timezone: "Europe/Paris" });
+  const fixed = new Date("2025-11-20T10:00:00Z");
+  const clock = { simulated: false, now: () => fixed };
+
+  assert.equal(getRequestTime(campaign, clock, "2025-12-24T08:00"), fixed);
+  assert.equal(getRequestTime(campaign, clock, "2025-12-24T08:00", { allowOverride: false }), fixed);
+  assert.equal(
+    getRequestTime(campaign, clock, "2025-12-24T08:00", { allowOverride: true }).toISOString(),
+    "2025-12-24T07:00:00.000Z"
+  );
+  // Unparseable values fall back to the clock
+  assert.equal(getRequestTime(campaign, clock, "tomorrow", { allowOverride: true }), fixed);
+  assert.equal(getRequestTime(campaign, clock, undefined, { allowOverride: true }), fixed);
+});
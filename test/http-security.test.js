@@ -0,0 +1,138 @@
+// Cross-site protections of server.js, checked against a running server on a temporary data
+// directory: the same-origin check on /api writes and the CSRF token of the submission form.
+
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const ADMIN_PASSWORD = "test-admin";
+const ADMIN_AUTH = `Basic ${Buffer.from(`admin:${ADMIN_PASSWORD}`).toString("base64")}`;
+
+let child;
+let base;
+let dataDir;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "tonpere-http-"));
+  child = spawn(process.execPath, [path.join(root, "server.js")], {
+    cwd: root,
+    env: {
+      PATH: process.env.PATH,
+      PORT: "0",
+      DATA_DIR: dataDir,
+      // Submissions are open, the calendar isn't
+      SIMULATE_DATE: "2025-11-15T12:00",
+      ADMIN_PASSWORD,
+      AUTO_GENERATE_CALENDAR: "false",
+      METADATA_FETCH: "off",
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  base = await new Promise((resolve, reject) => {
+    let output = "";
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      const match = output.match(/Server running on (http:\/\/localhost:\d+)/);
+      if (match) resolve(match[1].replace("localhost", "127.0.0.1"));
+    });
+    child.on("exit", (code) => reject(new Error(`server exited with code ${code}`)));
+  });
+});
+
+after(() => {
+  child.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function createShortLink(headers) {
+  return fetch(`${base}/api/admin/short-links`, {
+    method: "POST",
+    headers: { Authorization: ADMIN_AUTH, "Content-Type": "application/x-www-form-urlencoded", ...headers },
+    body: "url=https%3A%2F%2Fevil.test%2F&alias=evil",
+  });
+}
+
+// GET /index.html as a browser would: the form's token and the cookie holding it
+async function openForm() {
+  const res = await fetch(`${base}/index.html`);
+  const html = await res.text();
+  const token = html.match(/name="_csrf" value="([^"]+)"/)[1];
+  const cookie = res.headers.get("set-cookie").split(";")[0];
+  return { token, cookie };
+}
+
+function submitForm({ cookie, token }) {
+  const body = new URLSearchParams({ name: "Ada", videos: "https://youtu.be/dQw4w9WgXcQ" });
+  if (token) body.set("_csrf", token);
+  return fetch(`${base}/submit`, {
+    method: "POST",
+    headers: {
+      Accept: "text/html",
+      "Content-Type": "application/x-www-form-urlencoded",
+      Origin: base,
+      "Sec-Fetch-Site": "same-origin",
+      ...(cookie ? { Cookie: cookie } : {}),
+    },
+    body,
+    redirect: "manual",
+  });
+}
+
+test("an API write marked cross-site by Sec-Fetch-Site is refused, even with admin credentials", async () => {
+  const res = await createShortLink({ "Sec-Fetch-Site": "cross-site" });
+  assert.equal(res.status, 403);
+  assert.deepEqual(await res.json(), { error: "Cross-site requests are not allowed" });
+});
+
+test("an API write from a foreign Origin is refused", async () => {
+  const res = await createShortLink({ Origin: "https://evil.test" });
+  assert.equal(res.status, 403);
+
+  const malformed = await createShortLink({ Origin: "null" });
+  assert.equal(malformed.status, 403);
+
+  // The same request from the admin page itself creates the alias
+  const sameOrigin = await createShortLink({ Origin: base, "Sec-Fetch-Site": "same-origin" });
+  assert.equal(sameOrigin.status, 201);
+});
+
+test("API writes from the site itself or from scripts go through", async () => {
+  const nickname = (headers) => fetch(`${base}/api/nickname`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ nickname: "Ada" }),
+  });
+  assert.equal((await nickname({ "Sec-Fetch-Site": "same-origin" })).status, 200);
+  assert.equal((await nickname({ Origin: base })).status, 200);
+  assert.equal((await nickname({})).status, 200);
+
+  // Reads aren't affected
+  const read = await fetch(`${base}/api/campaign`, { headers: { "Sec-Fetch-Site": "cross-site" } });
+  assert.equal(read.status, 200);
+});
+
+test("a form post without the CSRF token or with another one is refused", async () => {
+  const { token, cookie } = await openForm();
+
+  const missing = await submitForm({ cookie });
+  assert.equal(missing.status, 403);
+  const noCookie = await submitForm({ token });
+  assert.equal(noCookie.status, 403);
+  const other = await openForm();
+  const mismatched = await submitForm({ cookie, token: other.token });
+  assert.equal(mismatched.status, 403);
+});
+
+test("a same-origin form post with its token is accepted", async () => {
+  const res = await submitForm(await openForm());
+  assert.equal(res.status, 303);
+  assert.match(res.headers.get("location"), /^\/thank-you\.html#id=[^&]+&token=/);
+
+  const submissions = JSON.parse(fs.readFileSync(path.join(dataDir, "submissions.json"), "utf8"));
+  assert.deepEqual(submissions.map((submission) => submission.name), ["Ada"]);
+});
@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+import { createMetadataService } from "../lib/metadata.js";
+import { createJsonStore } from "../lib/storage/index.js";
+
+const YOUTUBE_URL = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+const DEEZER_URL = "https://www.deezer.com/track/3135556";
+const SPOTIFY_URL = "https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC";
+const SOUNDCLOUD_URL = "https://soundcloud.com/artist/endless";
+const MISSING_URL = "https://soundcloud.com/artist/missing";
+
+const CHUNK = Buffer.alloc(64 * 1024, " ");
+const requested = [];
+
+// Fixture standing in for the oEmbed endpoints, the Deezer API and the platforms' pages
+function handle(req, res) {
+  const url = new URL(req.url, "http://fixture");
+  requested.push(url.pathname);
+  const json = (status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+  if (url.pathname === "/youtube/oembed") {
+    assert.equal(url.searchParams.get("url"), YOUTUBE_URL);
+    return json(200, { title: "Never Gonna Give You Up", author_name: "Rick Astley", thumbnail_url: "https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg" });
+  }
+  if (url.pathname === "/deezer/track/3135556") {
+    return json(200, { title: "One More Time", artist: { name: "Daft Punk" }, album: { cover_medium: "https://cdn.deezer.test/cover.jpg" }, duration: 320 });
+  }
+  if (url.pathname === "/spotify/oembed") return json(500, { error: "down" });
+  if (url.pathname === "/soundcloud/oembed") return json(404, {});
+  if (url.pathname.startsWith("/pages/")) {
+    const page = `https://${url.pathname.slice("/pages/".length)}${url.search}`;
+    if (page === SPOTIFY_URL) {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      return res.end('<html><head><meta property="og:title" content="Mr. Brightside">'
+        + '<meta name="music:duration" content="222"></head></html>');
+    }
+    if (page === SOUNDCLOUD_URL) {
+      // Never ends on its own: the client has to stop reading
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.write('<html><head><meta property="og:title" content="Endless &amp; Co"></head><body>');
+      const pump = () => {
+        while (!res.destroyed && res.write(CHUNK));
+      };
+      res.on("drain", pump);
+      return pump();
+    }
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(404);
+  return res.end();
+}
+
+let server;
+let base;
+let dataDir;
+
+before(async () => {
+  server = http.createServer(handle);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "tonpere-metadata-"));
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function createService() {
+  return createMetadataService({
+    storage: createJsonStore({ dataDir }),
+    enabled: true,
+    endpoints: {
+      youtube: `${base}/youtube/oembed`,
+      spotify: `${base}/spotify/oembed`,
+      soundcloud: `${base}/soundcloud/oembed`,
+      deezer: `${base}/deezer`,
+      pages: `${base}/pages/`,
+    },
+  });
+}
+
+test("fetchMetadata leaves the page alone when oEmbed has everything but the duration", async () => {
+  requested.length = 0;
+  const metadata = await createService().fetchMetadata(YOUTUBE_URL);
+  assert.deepEqual(metadata, {
+    title: "Never Gonna Give You Up",
+    artist: "Rick Astley",
+    thumbnail: "https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg",
+    duration: null,
+    provider: "youtube",
+  });
+  assert.deepEqual(requested, ["/youtube/oembed"]);
+});
+
+test("fetchMetadata falls back to the page's tags, read from the pages endpoint", async () => {
+  requested.length = 0;
+  const metadata = await createService().fetchMetadata(SPOTIFY_URL);
+  assert.deepEqual(metadata, { title: "Mr. Brightside", artist: null, thumbnail: null, duration: 222, provider: "spotify" });
+  assert.deepEqual(requested, ["/spotify/oembed", "/pages/open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC"]);
+});
+
+test("fetchMetadata reads Deezer's API", async () => {
+  const metadata = await createService().fetchMetadata(DEEZER_URL);
+  assert.deepEqual(metadata, {
+    title: "One More Time",
+    artist: "Daft Punk",
+    thumbnail: "https://cdn.deezer.test/cover.jpg",
+    duration: 320,
+    provider: "deezer",
+  });
+});
+
+test("fetchMetadata stops reading a page after the size limit", async () => {
+  const metadata = await createService().fetchMetadata(SOUNDCLOUD_URL);
+  assert.equal(metadata.title, "Endless & Co");
+  assert.equal(metadata.provider, "soundcloud");
+});
+
+test("enrich caches the metadata found and the lookups that failed", async () => {
+  const service = createService();
+  assert.deepEqual(await service.enrich([YOUTUBE_URL, MISSING_URL, YOUTUBE_URL, "https://example.com/x"]), { fetched: 1, failed: 1 });
+
+  assert.equal(service.get(YOUTUBE_URL).title, "Never Gonna Give You Up");
+  assert.equal(service.get(MISSING_URL), null);
+  assert.deepEqual([...service.getMany([YOUTUBE_URL, MISSING_URL]).keys()], [YOUTUBE_URL]);
+
+  const cache = JSON.parse(fs.readFileSync(path.join(dataDir, "link-metadata.json"), "utf8"));
+  assert.match(cache[MISSING_URL].error, /HTTP 404/);
+
+  // Both are fresh: nothing is fetched again
+  assert.deepEqual(await service.enrich([YOUTUBE_URL, MISSING_URL]), { fetched: 0, failed: 0 });
+});
@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { getPlatform, getTrackKey, normalizeMusicLink, parseMusicLink, splitLinkNote } from "../public/music-links.js";
+
+const VIDEO = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+const TRACK = "https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC";
+
+test("YouTube links of every shape give the watch URL", () => {
+  for (const input of [
+    "https://youtu.be/dQw4w9WgXcQ",
+    "https://youtu.be/dQw4w9WgXcQ?si=Ab12Cd34Ef56",
+    "https://m.youtube.com/watch?v=dQw4w9WgXcQ&feature=share",
+    "https://www.youtube.com/watch?v=dQw4w9WgXcQ&si=Ab12Cd34Ef56&t=42",
+    "https://youtube.com/shorts/dQw4w9WgXcQ?si=xyz",
+    "https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ",
+    "music.youtube.com/watch?v=dQw4w9WgXcQ",
+    "  http://youtu.be/dQw4w9WgXcQ  ",
+  ]) {
+    assert.deepEqual(normalizeMusicLink(input), { ok: true, url: VIDEO, platform: "youtube" }, input);
+  }
+  assert.deepEqual(parseMusicLink("https://youtu.be/dQw4w9WgXcQ"), {
+    platform: "youtube",
+    kind: "video",
+    id: "dQw4w9WgXcQ",
+    canonicalUrl: VIDEO,
+    embedUrl: "https://www.youtube.com/embed/dQw4w9WgXcQ",
+  });
+  assert.equal(
+    normalizeMusicLink("https://www.youtube.com/playlist?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI&si=abc").url,
+    "https://www.youtube.com/playlist?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI"
+  );
+});
+
+test("Spotify locale prefixes and spotify: URIs give the open.spotify.com URL", () => {
+  for (const input of [
+    TRACK,
+    "https://open.spotify.com/intl-fr/track/4uLU6hMCjMI75M1A2tKUQC?si=0123456789abcdef",
+    "https://open.spotify.com/intl-pt/track/4uLU6hMCjMI75M1A2tKUQC",
+    "spotify:track:4uLU6hMCjMI75M1A2tKUQC",
+  ]) {
+    assert.deepEqual(normalizeMusicLink(input), { ok: true, url: TRACK, platform: "spotify" }, input);
+  }
+  assert.equal(parseMusicLink("spotify:album:4aawyAB9vmqN3uQ7FjRGTy").kind, "album");
+});
+
+test("short links that need a redirect are refused with their own error", () => {
+  for (const input of ["https://spotify.link/AbCdEf", "https://deezer.page.link/xyz", "https://link.deezer.com/s/abc", "https://on.soundcloud.com/AbCd"]) {
+    assert.equal(normalizeMusicLink(input).error, "short_link", input);
+  }
+});
+
+test("other refusals say why", () => {
+  assert.equal(normalizeMusicLink("").error, "invalid_url");
+  assert.equal(normalizeMusicLink("ftp://youtu.be/dQw4w9WgXcQ").error, "invalid_url");
+  assert.equal(normalizeMusicLink("https://example.com/song.mp3").error, "unsupported_platform");
+  assert.equal(normalizeMusicLink("https://www.youtube.com/feed/trending").error, "unrecognized_link");
+  assert.equal(normalizeMusicLink("https://soundcloud.com/artist/tracks").error, "unrecognized_link");
+});
+
+test("malformed percent escapes are invalid links, not exceptions", () => {
+  for (const input of ["https://youtu.be/%zz", "https://open.spotify.com/track/%E0%A4%A", "https://artist.bandcamp.com/track/%"]) {
+    assert.doesNotThrow(() => normalizeMusicLink(input), input);
+    assert.equal(normalizeMusicLink(input).error, "invalid_url", input);
+    assert.equal(parseMusicLink(input), null, input);
+    assert.equal(getPlatform(input), "other", input);
+    assert.equal(getTrackKey(input), input, input);
+  }
+});
+
+test("getTrackKey is the same for every URL variant of a track", () => {
+  const key = getTrackKey(VIDEO);
+  assert.equal(key, "youtube:video:dQw4w9WgXcQ");
+  for (const input of ["https://youtu.be/dQw4w9WgXcQ?si=1", "https://m.youtube.com/watch?v=dQw4w9WgXcQ", "https://youtube.com/shorts/dQw4w9WgXcQ"]) {
+    assert.equal(getTrackKey(input), key, input);
+  }
+  assert.equal(getTrackKey("spotify:track:4uLU6hMCjMI75M1A2tKUQC"), getTrackKey("https://open.spotify.com/intl-de/track/4uLU6hMCjMI75M1A2tKUQC?si=x"));
+  assert.equal(getTrackKey("https://SoundCloud.com/Artist/Song?in=x"), getTrackKey("https://m.soundcloud.com/artist/song"));
+  assert.equal(getTrackKey("https://deezer.com/fr/track/3135556"), getTrackKey("https://www.deezer.com/track/3135556?utm_source=x"));
+  assert.notEqual(getTrackKey("https://youtu.be/dQw4w9WgXcQ"), getTrackKey("https://youtu.be/9bZkp7q19f0"));
+  // Unparseable links compare by their trimmed text
+  assert.equal(getTrackKey(" https://example.com/a "), "https://example.com/a");
+});
+
+test("splitLinkNote separates the link from the note written after it", () => {
+  assert.deepEqual(splitLinkNote("https://youtu.be/dQw4w9WgXcQ - la meilleure intro"), { link: "https://youtu.be/dQw4w9WgXcQ", note: "la meilleure intro" });
+  assert.deepEqual(splitLinkNote("  https://youtu.be/dQw4w9WgXcQ  "), { link: "https://youtu.be/dQw4w9WgXcQ", note: null });
+});
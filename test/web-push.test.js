@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import test from "node:test";
+
+import {
+  buildVapidAuthorization,
+  decryptPayload,
+  encryptPayload,
+  generateVapidKeys,
+  parsePushSubscription,
+  verifyVapidAuthorization,
+} from "../lib/web-push.js";
+
+// RFC 8291 Appendix A
+const VECTOR = {
+  plaintext: "When I grow up, I want to be a watermelon",
+  senderPrivateKey: "yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw",
+  senderPublicKey: "BP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A8",
+  receiverPrivateKey: "q1dXpw3UpT5VOmu_cf_v6ih07Aems3njxI-JWgLcM94",
+  receiverPublicKey: "BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4",
+  authSecret: "BTBZMqHH6r4Tts7J_aSIgg",
+  salt: "DGv6ra1nlYgDCS1FRnbzlw",
+  body:
+    "DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_"
+    + "yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN",
+};
+
+function ecdhFromPrivateKey(privateKey) {
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.setPrivateKey(Buffer.from(privateKey, "base64url"));
+  return ecdh;
+}
+
+const vectorSubscription = {
+  endpoint: "https://push.example.net/push/JzLQ3raZJfFBR0aqvOMsLrt54w4rJUsV",
+  keys: { p256dh: VECTOR.receiverPublicKey, auth: VECTOR.authSecret },
+};
+
+test("encryptPayload matches the RFC 8291 test vector", () => {
+  const ecdh = ecdhFromPrivateKey(VECTOR.senderPrivateKey);
+  assert.equal(ecdh.getPublicKey("base64url"), VECTOR.senderPublicKey);
+
+  const body = encryptPayload(vectorSubscription, VECTOR.plaintext, { ecdh, salt: Buffer.from(VECTOR.salt, "base64url") });
+  assert.equal(body.toString("base64url"), VECTOR.body);
+});
+
+test("decryptPayload reads the RFC 8291 test vector", () => {
+  const payload = decryptPayload(Buffer.from(VECTOR.body, "base64url"), {
+    ecdh: ecdhFromPrivateKey(VECTOR.receiverPrivateKey),
+    authSecret: Buffer.from(VECTOR.authSecret, "base64url"),
+  });
+  assert.equal(payload, VECTOR.plaintext);
+});
+
+test("encryptPayload uses a fresh sender key and salt for every message", () => {
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.generateKeys();
+  const authSecret = crypto.randomBytes(16);
+  const subscription = {
+    endpoint: "https://push.example.net/x",
+    keys: { p256dh: ecdh.getPublicKey("base64url"), auth: authSecret.toString("base64url") },
+  };
+
+  const first = encryptPayload(subscription, "Jour 1");
+  const second = encryptPayload(subscription, "Jour 1");
+  assert.notDeepEqual(first.subarray(0, 86), second.subarray(0, 86));
+  assert.equal(decryptPayload(first, { ecdh, authSecret }), "Jour 1");
+  assert.equal(decryptPayload(second, { ecdh, authSecret }), "Jour 1");
+});
+
+test("buildVapidAuthorization signs an ES256 JWT for the endpoint's origin", () => {
+  const vapid = { ...generateVapidKeys(), subject: "mailto:papa@example.com" };
+  const endpoint = "https://fcm.googleapis.com/fcm/send/abc";
+  const now = new Date("2026-12-01T08:00:00Z");
+
+  const authorization = buildVapidAuthorization(endpoint, vapid, now);
+  const [, token, publicKey] = authorization.match(/^vapid t=([^,]+), k=(.+)$/);
+  assert.equal(publicKey, vapid.publicKey);
+
+  const [header, claims, signature] = token.split(".");
+  assert.deepEqual(JSON.parse(Buffer.from(header, "base64url")), { typ: "JWT", alg: "ES256" });
+  assert.deepEqual(JSON.parse(Buffer.from(claims, "base64url")), {
+    aud: "https://fcm.googleapis.com",
+    exp: now.getTime() / 1000 + 12 * 60 * 60,
+    sub: "mailto:papa@example.com",
+  });
+
+  // Checked with the raw public key, the way a push service does
+  const raw = Buffer.from(vapid.publicKey, "base64url");
+  const key = crypto.createPublicKey({
+    key: { kty: "EC", crv: "P-256", x: raw.subarray(1, 33).toString("base64url"), y: raw.subarray(33).toString("base64url") },
+    format: "jwk",
+  });
+  const signed = Buffer.from(`${header}.${claims}`);
+  const signatureBytes = Buffer.from(signature, "base64url");
+  assert.equal(crypto.verify("sha256", signed, { key, dsaEncoding: "ieee-p1363" }, signatureBytes), true);
+
+  const other = generateVapidKeys();
+  assert.equal(verifyVapidAuthorization(authorization.replace(vapid.publicKey, other.publicKey), endpoint, now), null);
+  assert.equal(verifyVapidAuthorization(authorization, "https://updates.push.services.mozilla.com/wpush/v2/x", now), null);
+  assert.equal(verifyVapidAuthorization(authorization, endpoint, new Date(now.getTime() + 13 * 60 * 60 * 1000)), null);
+  assert.equal(verifyVapidAuthorization(authorization, endpoint, now).sub, "mailto:papa@example.com");
+});
+
+test("parsePushSubscription only accepts endpoints of the browsers' push services", () => {
+  const keys = { p256dh: VECTOR.receiverPublicKey, auth: VECTOR.authSecret };
+  for (const endpoint of [
+    "https://fcm.googleapis.com/fcm/send/abc:def",
+    "https://updates.push.services.mozilla.com/wpush/v2/gAAAA",
+    "https://web.push.apple.com/QGuQyavXutnMH",
+    "https://wns2-par02p.notify.windows.com/w/?token=BQYAAAB",
+  ]) {
+    assert.deepEqual(parsePushSubscription({ endpoint, keys }), { subscription: { endpoint, keys } }, endpoint);
+  }
+
+  for (const endpoint of [
+    "https://push.example.net/push/abc",
+    "https://169.254.169.254/latest/meta-data",
+    "https://fcm.googleapis.com.evil.test/fcm/send/abc",
+    "https://evilpush.apple.com/abc",
+    "https://fcm.googleapis.com:8443/fcm/send/abc",
+    "https://user@fcm.googleapis.com/fcm/send/abc",
+  ]) {
+    assert.deepEqual(parsePushSubscription({ endpoint, keys }), { error: "endpoint must belong to a known push service" }, endpoint);
+  }
+  assert.deepEqual(parsePushSubscription({ endpoint: "http://fcm.googleapis.com/fcm/send/abc", keys }), { error: "endpoint must be an https:// URL" });
+
+  // A local mock push service, in development only
+  const mock = { endpoint: "http://localhost:4010/push/0123456789abcdef", keys };
+  assert.deepEqual(parsePushSubscription(mock, { allowInsecure: true }), { subscription: mock });
+  assert.equal(parsePushSubscription({ ...mock, endpoint: "https://localhost:4010/push/x" }, { allowInsecure: true }).error, "endpoint must belong to a known push service");
+});